@@ -0,0 +1,5 @@
+module.exports = {
+  presets: [
+    ['@babel/preset-env', {targets: {node: 'current'}}]
+  ]
+};
@@ -2,6 +2,6 @@ module.exports = {
   testEnvironment: 'jsdom',
   testMatch: ['**/?(*.)+(test).js'],
   roots: ['<rootDir>'],
-  collectCoverageFrom: ['src/**/*.js'],
+  collectCoverageFrom: ['src/**/*.js', '!src/testUtils.js'],
 };
 
@@ -2,6 +2,12 @@ import terser from '@rollup/plugin-terser';
 
 const input = 'src/index.js';
 
+// devtools and testing utilities are separate entry points, so the SDK bundles do not include them
+const entries = [
+  {input: 'src/devtools.js', file: 'devtools', name: 'WidgetSDKDevtools'},
+  {input: 'src/testing.js', file: 'testing', name: 'WidgetSDKTesting'}
+];
+
 export default [
   {
     input,
@@ -21,7 +27,39 @@ export default [
       sourcemap: false
     },
     plugins: [
-      terser()
+      terser({
+        compress: {
+          // production build: payload validation is removed
+          global_defs: {
+            __WIDGET_SDK_VALIDATION__: false
+          }
+        }
+      })
+    ]
+  },
+  {
+    input,
+    output: {
+      file: 'dist/widget.mjs',
+      format: 'es',
+      sourcemap: false
+    }
+  },
+  {
+    input,
+    output: {
+      file: 'dist/widget.cjs',
+      format: 'cjs',
+      exports: 'named',
+      sourcemap: false
+    }
+  },
+  ...entries.map(entry => ({
+    input: entry.input,
+    output: [
+      {file: `dist/${entry.file}.js`, format: 'iife', name: entry.name, sourcemap: false},
+      {file: `dist/${entry.file}.mjs`, format: 'es', sourcemap: false},
+      {file: `dist/${entry.file}.cjs`, format: 'cjs', exports: 'named', sourcemap: false}
     ]
-  }
+  }))
 ];
@@ -0,0 +1,377 @@
+const global = typeof window !== 'undefined' ? window : undefined;
+
+const PANEL_STYLE = [
+    'position: fixed',
+    'right: 8px',
+    'bottom: 8px',
+    'z-index: 2147483647',
+    'width: 420px',
+    'max-width: calc(100% - 16px)',
+    'max-height: 50vh',
+    'overflow: auto',
+    'box-sizing: border-box',
+    'padding: 6px 8px',
+    'background: #fff',
+    'border: 1px solid #ccc',
+    'border-radius: 4px',
+    'box-shadow: 0 2px 8px rgba(0, 0, 0, .2)',
+    'font: 11px/1.4 monospace',
+    'color: #333'
+].join('; ');
+
+/**
+ * Returns a JSON copy of a message, so later changes of the original do not affect the timeline.
+ * @param {*} value Message.
+ * @returns {*} Copy.
+ */
+function copyMessage(value) {
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Formats a timestamp as HH:MM:SS.mmm.
+ * @param {number} time Timestamp.
+ * @returns {string} Formatted time.
+ */
+function formatTime(time) {
+    return new Date(time).toISOString().slice(11, 23);
+}
+
+/**
+ * Message inspector for development, enabled with create({devtools: DevtoolsPanel}).
+ * Receives structured log entries of sent and received messages as a log sink
+ * and renders a timeline with request/response pairs, latencies and pending requests inside the widget iframe.
+ */
+export class DevtoolsPanel {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     * @param {Object} [options] Panel options.
+     * @param {number} [options.size] Maximum number of messages in the timeline, 200 by default.
+     * @param {HTMLElement} [options.container] Element to render into, document.body by default.
+     */
+    constructor(sdk, options = {}) {
+        this.sdk = sdk;
+        this.level = 'debug';
+        this.size = options.size > 0 ? options.size : 200;
+        this.collapsed = false;
+        this.root = null;
+
+        this._container = options.container || null;
+        this._document = this._container ? this._container.ownerDocument : global && global.document;
+        this._records = [];
+        this._recordIdCounter = 0;
+        this._renderScheduled = false;
+
+        this._mount = this._mount.bind(this);
+
+        if (!this._document) {
+            return;
+        }
+
+        if (this._container || this._document.body) {
+            this._mount();
+        } else {
+            this._document.addEventListener('DOMContentLoaded', this._mount);
+        }
+    }
+
+    /**
+     * Log sink entry point: records sent and received messages, other entries only refresh the panel.
+     * @param {Object} entry Log entry.
+     * @returns {void}
+     */
+    write(entry) {
+        if (entry.direction && entry.data) {
+            this._add(entry);
+        }
+
+        this._scheduleRender();
+    }
+
+    /**
+     * Adds a message to the timeline and pairs a response with its request.
+     * @param {Object} entry Log entry with direction and data.
+     * @returns {void}
+     */
+    _add(entry) {
+        const record = {
+            id: ++this._recordIdCounter,
+            time: entry.time,
+            direction: entry.direction,
+            name: entry.name,
+            messageId: entry.messageId,
+            correlationId: entry.correlationId,
+            latency: entry.latency,
+            data: copyMessage(entry.data),
+            request: null,
+            response: null
+        };
+
+        if (record.direction === 'in' && record.correlationId !== undefined) {
+            const request = this._findRequest(record.correlationId);
+
+            if (request) {
+                request.response = record;
+                request.latency = record.latency;
+                record.request = request;
+            }
+        }
+
+        this._records.push(record);
+
+        if (this._records.length > this.size) {
+            this._records.splice(0, this._records.length - this.size);
+        }
+    }
+
+    /**
+     * Finds the last unanswered request with the messageId.
+     * @param {number} messageId Request messageId.
+     * @returns {Object|undefined} Request record.
+     */
+    _findRequest(messageId) {
+        for (let i = this._records.length - 1; i >= 0; i--) {
+            const record = this._records[i];
+
+            if (record.direction === 'out' && record.messageId === messageId && !record.response) {
+                return record;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Returns recorded messages, oldest first.
+     * @returns {Object[]} Timeline records.
+     */
+    records() {
+        return this._records.slice();
+    }
+
+    /**
+     * Returns requests still waiting for a response.
+     * @returns {Object[]} Request records.
+     */
+    pending() {
+        return this._records.filter(record => record.direction === 'out'
+            && !record.response
+            && this.sdk._pendingRequests.has(record.messageId));
+    }
+
+    /**
+     * Sends a recorded host event to the widget again, through origin checks, middleware and listeners.
+     * @param {Object|number} recordOrId Timeline record or its id.
+     * @returns {void}
+     */
+    replay(recordOrId) {
+        const record = typeof recordOrId === 'number'
+            ? this._records.find(item => item.id === recordOrId)
+            : recordOrId;
+
+        if (!record || record.direction !== 'in') {
+            throw new Error('Only incoming messages can be replayed');
+        }
+
+        this.sdk._handleMessage({
+            data: copyMessage(record.data),
+            origin: this.sdk._hostOrigin || undefined,
+            source: this.sdk._getHostWindow()
+        });
+    }
+
+    /**
+     * Removes recorded messages.
+     * @returns {void}
+     */
+    clear() {
+        this._records = [];
+        this._scheduleRender();
+    }
+
+    /**
+     * Creates the panel element.
+     * @returns {void}
+     */
+    _mount() {
+        this._document.removeEventListener('DOMContentLoaded', this._mount);
+
+        if (this.root) {
+            return;
+        }
+
+        this.root = this._document.createElement('div');
+        this.root.setAttribute('data-widget-sdk-devtools', '');
+        this.root.setAttribute('style', PANEL_STYLE);
+        (this._container || this._document.body).appendChild(this.root);
+
+        this.render();
+    }
+
+    /**
+     * Renders the panel once per microtask, after the SDK has registered the pending request.
+     * @returns {void}
+     */
+    _scheduleRender() {
+        if (this._renderScheduled || !this.root) {
+            return;
+        }
+
+        this._renderScheduled = true;
+
+        Promise.resolve().then(() => {
+            this._renderScheduled = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Creates an element with text.
+     * @param {string} tagName Tag name.
+     * @param {string} [text] Text content.
+     * @param {string} [style] Inline style.
+     * @returns {HTMLElement} Element.
+     */
+    _element(tagName, text, style) {
+        const element = this._document.createElement(tagName);
+
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+
+        if (style) {
+            element.setAttribute('style', style);
+        }
+
+        return element;
+    }
+
+    /**
+     * Creates a button.
+     * @param {string} text Caption.
+     * @param {string} action Value of data-action.
+     * @param {Function} onClick Click handler.
+     * @returns {HTMLButtonElement} Button.
+     */
+    _button(text, action, onClick) {
+        const button = this._element('button', text, 'margin-left: 4px; font: inherit; cursor: pointer');
+
+        button.type = 'button';
+        button.setAttribute('data-action', action);
+        button.addEventListener('click', onClick);
+
+        return button;
+    }
+
+    /**
+     * Describes a timeline record.
+     * @param {Object} record Timeline record.
+     * @param {number} now Current time.
+     * @returns {string} Record text.
+     */
+    _describe(record, now) {
+        const parts = [
+            formatTime(record.time),
+            record.direction === 'out' ? '→' : '←',
+            record.name || 'unknown'
+        ];
+
+        if (record.messageId !== undefined) {
+            parts.push(`#${record.messageId}`);
+        }
+
+        if (record.correlationId !== undefined) {
+            parts.push(`↩ #${record.correlationId}`);
+        }
+
+        if (record.latency !== undefined) {
+            parts.push(`${record.latency} ms`);
+        } else if (record.direction === 'out' && this.sdk._pendingRequests.has(record.messageId)) {
+            parts.push(`pending ${now - record.time} ms`);
+        }
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Renders the panel.
+     * @returns {void}
+     */
+    render() {
+        if (!this.root) {
+            return;
+        }
+
+        const now = Date.now();
+        const pending = this.pending();
+        const header = this._element('div', undefined, 'display: flex; align-items: center');
+
+        header.appendChild(this._element(
+            'strong',
+            `WidgetSDK: ${this._records.length} messages, ${pending.length} pending`,
+            'flex: 1'
+        ));
+        header.appendChild(this._button('Clear', 'clear', () => this.clear()));
+        header.appendChild(this._button(this.collapsed ? 'Show' : 'Hide', 'toggle', () => {
+            this.collapsed = !this.collapsed;
+            this.render();
+        }));
+
+        this.root.textContent = '';
+        this.root.appendChild(header);
+
+        if (this.collapsed) {
+            return;
+        }
+
+        if (pending.length) {
+            const pendingList = this._element('ul', undefined, 'margin: 4px 0; padding-left: 16px; color: #b26a00');
+
+            pendingList.setAttribute('data-section', 'pending');
+            pending.forEach(record => pendingList.appendChild(this._element('li', this._describe(record, now))));
+            this.root.appendChild(pendingList);
+        }
+
+        const timeline = this._element('ol', undefined, 'margin: 4px 0; padding-left: 0; list-style: none');
+
+        timeline.setAttribute('data-section', 'timeline');
+
+        this._records.forEach(record => {
+            const item = this._element('li', undefined, record.direction === 'out' ? 'color: #0b5394' : 'color: #38761d');
+            const summary = this._element('span', this._describe(record, now));
+
+            item.setAttribute('data-record-id', String(record.id));
+            summary.title = JSON.stringify(record.data, null, 2);
+            item.appendChild(summary);
+
+            if (record.direction === 'in' && record.correlationId === undefined) {
+                item.appendChild(this._button('Replay', 'replay', () => this.replay(record)));
+            }
+
+            timeline.appendChild(item);
+        });
+
+        this.root.appendChild(timeline);
+    }
+
+    /**
+     * Removes the panel.
+     * @returns {void}
+     */
+    destroy() {
+        if (this._document) {
+            this._document.removeEventListener('DOMContentLoaded', this._mount);
+        }
+
+        if (this.root && this.root.parentNode) {
+            this.root.parentNode.removeChild(this.root);
+        }
+
+        this.root = null;
+        this._records = [];
+    }
+}
@@ -0,0 +1,137 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {DevtoolsPanel} from './devtools.js';
+import {registerDevtoolsPanel} from './registry.js';
+import {useMockHost} from './testUtils.js';
+
+describe('devtools panel', () => {
+    const mock = useMockHost({host: {autoRespond: false}, sdk: false});
+    let sdk;
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const panel = () => document.querySelector('[data-widget-sdk-devtools]');
+    const rows = () => Array.from(panel().querySelectorAll('[data-section="timeline"] li')).map(item => item.textContent);
+    const pendingRows = () => Array.from(panel().querySelectorAll('[data-section="pending"] li'))
+        .map(item => item.textContent);
+
+    afterEach(() => {
+        sdk.destroy();
+    });
+
+    test('is not rendered by default', () => {
+        sdk = WidgetSDK.create({hostOrigins: mock.host.origin});
+
+        expect(sdk.devtools).toBeNull();
+        expect(panel()).toBeNull();
+    });
+
+    test('is rendered by devtools: true once the devtools entry point is loaded', () => {
+        sdk = WidgetSDK.create({hostOrigins: mock.host.origin, devtools: true});
+
+        expect(WidgetSDK.DevtoolsPanel).toBeUndefined();
+        expect(sdk.devtools).toBeInstanceOf(DevtoolsPanel);
+        expect(panel()).not.toBeNull();
+    });
+
+    test('warns about devtools: true without the devtools entry point', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        registerDevtoolsPanel(null);
+
+        try {
+            sdk = WidgetSDK.create({hostOrigins: mock.host.origin, devtools: true});
+
+            expect(sdk.devtools).toBeNull();
+            expect(panel()).toBeNull();
+            expect(warnSpy).toHaveBeenCalledWith(
+                '[WidgetSDK]',
+                'devtools option needs the devtools entry point to be loaded'
+            );
+        } finally {
+            registerDevtoolsPanel(DevtoolsPanel);
+            warnSpy.mockRestore();
+        }
+    });
+
+    test('renders the timeline with request/response pairs, latency and pending requests', async () => {
+        const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        try {
+            sdk = WidgetSDK.create({hostOrigins: mock.host.origin, devtools: DevtoolsPanel});
+            sdk.navigateTo('/entity/customerorder');
+            await flush();
+
+            const request = mock.host.lastMessage('NavigateRequest');
+
+            expect(sdk.devtools.pending().map(record => record.messageId)).toEqual([request.messageId]);
+            expect(pendingRows()).toEqual([expect.stringContaining(`NavigateRequest #${request.messageId} pending`)]);
+
+            nowSpy.mockReturnValue(1120);
+            mock.host.reply(request, {});
+            await flush();
+
+            expect(sdk.devtools.pending()).toEqual([]);
+            expect(panel().querySelector('[data-section="pending"]')).toBeNull();
+            expect(rows()).toEqual([
+                expect.stringMatching(new RegExp(`→ NavigateRequest #${request.messageId} 120 ms$`)),
+                expect.stringMatching(new RegExp(`← NavigateResponse #\\d+ ↩ #${request.messageId} 120 ms$`)),
+            ]);
+            expect(panel().textContent).toContain('2 messages, 0 pending');
+        } finally {
+            nowSpy.mockRestore();
+        }
+    });
+
+    test('records a copy of messages sent with sendMessage', async () => {
+        sdk = WidgetSDK.create({hostOrigins: mock.host.origin, devtools: DevtoolsPanel});
+
+        const message = sdk.sendMessage({name: 'SetDirty', openMessageId: 1});
+
+        message.openMessageId = 2;
+        await flush();
+
+        expect(sdk.devtools.records()).toEqual([
+            expect.objectContaining({direction: 'out', name: 'SetDirty', data: {...message, openMessageId: 1}}),
+        ]);
+    });
+
+    test('replays an incoming event through the SDK', async () => {
+        const onOpen = jest.fn();
+
+        sdk = WidgetSDK.create({hostOrigins: mock.host.origin, devtools: DevtoolsPanel});
+        sdk.onOpen(onOpen);
+        mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'id'});
+        await flush();
+
+        panel().querySelector('[data-action="replay"]').click();
+        await flush();
+
+        expect(onOpen).toHaveBeenCalledTimes(2);
+        expect(onOpen.mock.calls[1][0]).toEqual(onOpen.mock.calls[0][0]);
+        expect(rows()).toHaveLength(2);
+        expect(() => sdk.devtools.replay(999)).toThrow('Only incoming messages can be replayed');
+    });
+
+    test('is collapsed, cleared and removed on destroy', async () => {
+        sdk = WidgetSDK.create({hostOrigins: mock.host.origin, devtools: {panel: DevtoolsPanel, size: 1}});
+        sdk.clearDirty();
+        sdk.clearDirty();
+        await flush();
+
+        expect(rows()).toHaveLength(1);
+
+        panel().querySelector('[data-action="toggle"]').click();
+
+        expect(panel().querySelector('[data-section="timeline"]')).toBeNull();
+
+        panel().querySelector('[data-action="clear"]').click();
+        await flush();
+
+        expect(sdk.devtools.records()).toEqual([]);
+
+        sdk.destroy();
+
+        expect(panel()).toBeNull();
+    });
+});
@@ -0,0 +1,122 @@
+import {MessageValidationError} from './errors.js';
+
+const OK_BUTTON = 'Ok';
+const CANCEL_BUTTON = 'Cancel';
+
+/**
+ * Standard dialogs on top of showDialog: confirm, alert and choose.
+ * A dialog closed without pressing a button (or with a result that is not a button name) is treated as dismissed.
+ */
+export class Dialogs {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     */
+    constructor(sdk) {
+        this.sdk = sdk;
+    }
+
+    /**
+     * Shows a dialog with OK and Cancel buttons.
+     * @param {string} text Dialog text.
+     * @param {Object} [options] Dialog options and request options (timeout, signal), see sendRequest.
+     * @param {string} [options.okCaption] OK button caption, 'ОК' by default.
+     * @param {string} [options.cancelCaption] Cancel button caption, 'Отмена' by default.
+     * @returns {Promise<boolean>} True if OK was pressed, false if Cancel was pressed or the dialog was dismissed.
+     */
+    confirm(text, options = {}) {
+        const {okCaption = 'ОК', cancelCaption = 'Отмена', ...requestOptions} = options;
+
+        return this._show(text, [
+            {name: OK_BUTTON, caption: okCaption},
+            {name: CANCEL_BUTTON, caption: cancelCaption}
+        ], requestOptions).then(result => result === OK_BUTTON);
+    }
+
+    /**
+     * Shows a dialog with a single OK button.
+     * @param {string} text Dialog text.
+     * @param {Object} [options] Dialog options and request options (timeout, signal), see sendRequest.
+     * @param {string} [options.okCaption] OK button caption, 'ОК' by default.
+     * @returns {Promise<boolean>} True if OK was pressed, false if the dialog was dismissed.
+     */
+    alert(text, options = {}) {
+        const {okCaption = 'ОК', ...requestOptions} = options;
+
+        return this._show(text, [{name: OK_BUTTON, caption: okCaption}], requestOptions)
+            .then(result => result === OK_BUTTON);
+    }
+
+    /**
+     * Shows a dialog with custom buttons.
+     * @param {string} text Dialog text.
+     * @param {Array<string|Object>} choices Buttons: names or {name, caption} objects. A name is also its caption.
+     * @param {Object} [options] Request options (timeout, signal), see sendRequest.
+     * @returns {Promise<string|null>} Name of the pressed button or null if the dialog was dismissed.
+     */
+    choose(text, choices, options = {}) {
+        const buttons = Array.isArray(choices)
+            ? choices.map(choice => (typeof choice === 'string' ? {name: choice, caption: choice} : choice))
+            : choices;
+
+        return this._show(text, buttons, options);
+    }
+
+    /**
+     * Checks buttons, shows the dialog and returns the pressed button name.
+     * @param {string} text Dialog text.
+     * @param {Object[]} buttons Dialog buttons.
+     * @param {Object} options Request options.
+     * @returns {Promise<string|null>} Name of the pressed button or null if the dialog was dismissed.
+     */
+    _show(text, buttons, options) {
+        const errors = this._checkButtons(buttons);
+
+        if (errors.length) {
+            return Promise.reject(new MessageValidationError(
+                `Invalid dialog buttons: ${errors.map(entry => entry.error).join('; ')}`,
+                {requestName: 'ShowDialogRequest', errors}
+            ));
+        }
+
+        return this.sdk.showDialog(text, buttons, options).then(response => {
+            const result = response && response.result;
+
+            if (buttons.some(button => button.name === result)) {
+                return result;
+            }
+
+            this.sdk._log(`Dialog dismissed: ${JSON.stringify(text)}`);
+
+            return null;
+        });
+    }
+
+    /**
+     * Checks that buttons have unique non-empty names.
+     * @param {Object[]} buttons Dialog buttons.
+     * @returns {Array<{field: string, error: string}>} Violations.
+     */
+    _checkButtons(buttons) {
+        if (!Array.isArray(buttons) || !buttons.length) {
+            return [{field: 'buttons', error: 'buttons must be a non-empty array'}];
+        }
+
+        const errors = [];
+        const names = new Set();
+
+        buttons.forEach((button, index) => {
+            const field = `buttons[${index}].name`;
+            const name = button && button.name;
+
+            if (typeof name !== 'string' || !name.trim()) {
+                errors.push({field, error: `${field} must be a non-empty string`});
+            } else if (names.has(name)) {
+                errors.push({field, error: `${field} ${JSON.stringify(name)} is not unique`});
+            } else {
+                names.add(name);
+            }
+        });
+
+        return errors;
+    }
+}
@@ -0,0 +1,69 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {MockHost} from './testing.js';
+import {useMockHost} from './testUtils.js';
+
+describe('dialogs', () => {
+    const mock = useMockHost();
+
+    const pressed = name => () => ({result: name});
+
+    test('confirm sends OK/Cancel buttons and resolves to a boolean', async () => {
+        mock.host.respondTo('ShowDialogRequest', pressed('Ok'));
+
+        await expect(mock.sdk.dialogs.confirm('Delete?', {okCaption: 'Удалить'})).resolves.toBe(true);
+        expect(mock.host.lastMessage('ShowDialogRequest')).toMatchObject({
+            dialogText: 'Delete?',
+            buttons: [{name: 'Ok', caption: 'Удалить'}, {name: 'Cancel', caption: 'Отмена'}],
+        });
+
+        mock.host.respondTo('ShowDialogRequest', pressed('Cancel'));
+
+        await expect(mock.sdk.dialogs.confirm('Delete?')).resolves.toBe(false);
+    });
+
+    test('alert resolves to true when OK is pressed', async () => {
+        await expect(mock.sdk.dialogs.alert('Saved')).resolves.toBe(true);
+        expect(mock.host.lastMessage('ShowDialogRequest').buttons).toEqual([{name: 'Ok', caption: 'ОК'}]);
+    });
+
+    test('choose accepts names and button objects and resolves to the pressed name', async () => {
+        mock.host.respondTo('ShowDialogRequest', pressed('draft'));
+
+        await expect(mock.sdk.dialogs.choose('Save as', ['final', {name: 'draft', caption: 'Черновик'}]))
+            .resolves.toBe('draft');
+        expect(mock.host.lastMessage('ShowDialogRequest').buttons).toEqual([
+            {name: 'final', caption: 'final'},
+            {name: 'draft', caption: 'Черновик'},
+        ]);
+    });
+
+    test('maps a dismissed dialog to false or null', async () => {
+        mock.host.respondTo('ShowDialogRequest', () => ({result: null}));
+
+        await expect(mock.sdk.dialogs.confirm('Delete?')).resolves.toBe(false);
+        await expect(mock.sdk.dialogs.alert('Saved')).resolves.toBe(false);
+
+        mock.host.respondTo('ShowDialogRequest', () => ({}));
+
+        await expect(mock.sdk.dialogs.choose('Pick', ['a', 'b'])).resolves.toBeNull();
+    });
+
+    test('rejects duplicate and empty button names without sending', async () => {
+        const error = await mock.sdk.dialogs.choose('Pick', ['a', {name: '', caption: 'Empty'}, 'a']).catch(e => e);
+
+        expect(error).toBeInstanceOf(WidgetSDK.MessageValidationError);
+        expect(error.message).toBe('Invalid dialog buttons: buttons[1].name must be a non-empty string; '
+            + 'buttons[2].name "a" is not unique');
+        expect(error.details.map(entry => entry.field)).toEqual(['buttons[1].name', 'buttons[2].name']);
+        await expect(mock.sdk.dialogs.choose('Pick', [])).rejects.toThrow('buttons must be a non-empty array');
+        expect(mock.host.messages()).toEqual([]);
+    });
+
+    test('passes request options to showDialog', async () => {
+        mock.host.respondTo('ShowDialogRequest', MockHost.NO_RESPONSE);
+
+        await expect(mock.sdk.dialogs.confirm('Delete?', {timeout: 10})).rejects.toBeInstanceOf(WidgetSDK.TimeoutError);
+    });
+});
@@ -0,0 +1,237 @@
+const FIELD_SELECTOR = 'input, select, textarea';
+
+/**
+ * Returns the current value of a form field.
+ * @param {HTMLElement} field Form field.
+ * @returns {*} Field value.
+ */
+function readField(field) {
+    if (field.type === 'checkbox' || field.type === 'radio') {
+        return field.checked;
+    }
+
+    if (field.tagName === 'SELECT' && field.multiple) {
+        return Array.from(field.options)
+            .filter(option => option.selected)
+            .map(option => option.value)
+            .join('\n');
+    }
+
+    return field.value;
+}
+
+/**
+ * Compares plain values, objects and arrays.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} True if values are equal.
+ */
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Returns a deep copy of plain objects and arrays.
+ * @param {*} value Value to copy.
+ * @returns {*} Copy.
+ */
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+
+    if (value && typeof value === 'object') {
+        const copy = {};
+
+        Object.keys(value).forEach(key => {
+            copy[key] = clone(value[key]);
+        });
+
+        return copy;
+    }
+
+    return value;
+}
+
+/**
+ * Tracks changes of form fields or a state object and sends SetDirty/ClearDirty when the state changes.
+ * The snapshot is taken on Open and after a successful save.
+ */
+export class DirtyTracker {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     * @param {HTMLElement|Object} target Root element with form fields or a state object.
+     */
+    constructor(sdk, target) {
+        if (!target || typeof target !== 'object') {
+            throw new TypeError('trackDirty expects a root element or a state object');
+        }
+
+        this.sdk = sdk;
+        this.target = target;
+        this.dirty = false;
+        this.openMessageId = sdk._lastOpenMessageId;
+
+        this._isElement = typeof target.querySelectorAll === 'function' && typeof target.addEventListener === 'function';
+        this._snapshot = null;
+        this._proxies = new WeakMap();
+
+        this.check = this.check.bind(this);
+        this.state = this._isElement ? null : this._proxy(target);
+
+        this._unsubscribers = [
+            sdk.onOpen(message => {
+                this.openMessageId = message.messageId;
+                this.dirty = false;
+                this.reset();
+            }),
+            sdk._onInternal('saveOutcome', outcome => outcome.success && this.reset())
+        ];
+
+        if (this._isElement) {
+            target.addEventListener('input', this.check);
+            target.addEventListener('change', this.check);
+        }
+
+        this._snapshot = this._read();
+    }
+
+    /**
+     * Reads the current values.
+     * @returns {Map|Object} Field values by element or a copy of the state.
+     */
+    _read() {
+        if (!this._isElement) {
+            return clone(this.target);
+        }
+
+        const values = new Map();
+
+        this.target.querySelectorAll(FIELD_SELECTOR).forEach(field => values.set(field, readField(field)));
+
+        return values;
+    }
+
+    /**
+     * Compares the current values with the snapshot.
+     * @returns {boolean} True if something changed.
+     */
+    _hasChanges() {
+        const current = this._read();
+
+        if (!this._isElement) {
+            return !isEqual(current, this._snapshot);
+        }
+
+        if (current.size !== this._snapshot.size) {
+            return true;
+        }
+
+        for (const [field, value] of current) {
+            if (!this._snapshot.has(field) || this._snapshot.get(field) !== value) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Wraps the state object to check changes on every assignment.
+     * @param {Object} object State object.
+     * @returns {Proxy} Tracked state.
+     */
+    _proxy(object) {
+        if (this._proxies.has(object)) {
+            return this._proxies.get(object);
+        }
+
+        const proxy = new Proxy(object, {
+            get: (obj, key) => {
+                const value = obj[key];
+
+                return value && typeof value === 'object' ? this._proxy(value) : value;
+            },
+            set: (obj, key, value) => {
+                obj[key] = value;
+                this.check();
+
+                return true;
+            },
+            deleteProperty: (obj, key) => {
+                delete obj[key];
+                this.check();
+
+                return true;
+            }
+        });
+
+        this._proxies.set(object, proxy);
+
+        return proxy;
+    }
+
+    /**
+     * Compares the current values with the snapshot and sends SetDirty/ClearDirty if the state changed.
+     * @returns {boolean} Current dirty state.
+     */
+    check() {
+        const changed = this._hasChanges();
+
+        if (changed && !this.dirty) {
+            if (this.sdk.setDirty(this.openMessageId ?? undefined)) {
+                this.dirty = true;
+            }
+        } else if (!changed && this.dirty && this.sdk.clearDirty()) {
+            this.dirty = false;
+        }
+
+        return this.dirty;
+    }
+
+    /**
+     * Takes a new snapshot of the current values and clears dirty state.
+     * Call it after the widget has loaded its data.
+     * @returns {void}
+     */
+    reset() {
+        this._snapshot = this._read();
+
+        if (this.dirty && this.sdk.clearDirty()) {
+            this.dirty = false;
+        }
+    }
+
+    /**
+     * Returns the current dirty state.
+     * @returns {boolean} True if there are unsaved changes.
+     */
+    isDirty() {
+        return this.dirty;
+    }
+
+    /**
+     * Stops tracking.
+     * @returns {void}
+     */
+    dispose() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+
+        if (this._isElement) {
+            this.target.removeEventListener('input', this.check);
+            this.target.removeEventListener('change', this.check);
+        }
+    }
+}
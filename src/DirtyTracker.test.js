@@ -0,0 +1,180 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {flushMicrotasks} from './testUtils.js';
+
+describe('trackDirty', () => {
+    let sdk;
+    let sendMessageSpy;
+
+    const sent = () => sendMessageSpy.mock.calls.map(([message]) => message);
+
+    beforeEach(() => {
+        sdk = WidgetSDK.create();
+        sendMessageSpy = jest.spyOn(sdk, 'sendMessage').mockImplementation(message => message);
+    });
+
+    afterEach(() => {
+        sendMessageSpy.mockRestore();
+        sdk.destroy();
+        document.body.innerHTML = '';
+    });
+
+    describe('form elements', () => {
+        let root;
+        let input;
+        let checkbox;
+
+        const type = (field, value) => {
+            field.value = value;
+            field.dispatchEvent(new Event('input', {bubbles: true}));
+        };
+
+        beforeEach(() => {
+            document.body.innerHTML = `
+                <form>
+                    <input name="title" value="Order">
+                    <input name="urgent" type="checkbox">
+                </form>
+            `;
+            root = document.querySelector('form');
+            input = root.querySelector('[name="title"]');
+            checkbox = root.querySelector('[name="urgent"]');
+        });
+
+        test('sends SetDirty once tied to the Open and ClearDirty when values are restored', () => {
+            const tracker = sdk.trackDirty(root);
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 7}});
+
+            type(input, 'Order 1');
+            type(input, 'Order 12');
+
+            expect(tracker.isDirty()).toBe(true);
+
+            type(input, 'Order');
+
+            expect(tracker.isDirty()).toBe(false);
+            expect(sent()).toEqual([
+                expect.objectContaining({name: 'SetDirty', openMessageId: 7}),
+                expect.objectContaining({name: 'ClearDirty'}),
+            ]);
+        });
+
+        test('tracks checkbox change events', () => {
+            const tracker = sdk.trackDirty(root);
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+
+            checkbox.checked = true;
+            checkbox.dispatchEvent(new Event('change', {bubbles: true}));
+
+            expect(tracker.isDirty()).toBe(true);
+        });
+
+        test('takes a new snapshot after Save', () => {
+            const tracker = sdk.trackDirty(root);
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+            type(input, 'Saved');
+            sdk._handleMessage({data: {name: 'Save', messageId: 2}});
+
+            expect(tracker.isDirty()).toBe(false);
+
+            type(input, 'Saved');
+
+            expect(tracker.isDirty()).toBe(false);
+            expect(sent().map(message => message.name)).toEqual(['SetDirty', 'ClearDirty']);
+        });
+
+        test('keeps changes when the save fails', async () => {
+            const tracker = sdk.trackDirty(root);
+            let rejectSave;
+
+            jest.spyOn(sdk, '_log').mockImplementation(() => {});
+            sdk.onSave(() => new Promise((resolve, reject) => {
+                rejectSave = reject;
+            }));
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+            type(input, 'Unsaved');
+            sdk._handleMessage({data: {name: 'Save', messageId: 2}});
+
+            expect(tracker.isDirty()).toBe(true);
+
+            rejectSave(new Error('Storage is full'));
+            await flushMicrotasks();
+
+            expect(tracker.isDirty()).toBe(true);
+            expect(sent().map(message => message.name)).toEqual(['SetDirty', 'SaveFeedback']);
+        });
+
+        test('takes a new snapshot on Open without sending ClearDirty', () => {
+            const tracker = sdk.trackDirty(root);
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+            type(input, 'Changed');
+            sdk._handleMessage({data: {name: 'Open', messageId: 2}});
+
+            expect(tracker.isDirty()).toBe(false);
+
+            type(input, 'Changed again');
+
+            expect(sent().map(message => [message.name, message.openMessageId])).toEqual([
+                ['SetDirty', 1],
+                ['SetDirty', 2],
+            ]);
+        });
+
+        test('does not mark dirty without an Open', () => {
+            const tracker = sdk.trackDirty(root);
+
+            jest.spyOn(sdk, '_log').mockImplementation(() => {});
+            type(input, 'Changed');
+
+            expect(tracker.isDirty()).toBe(false);
+        });
+
+        test('dispose stops tracking', () => {
+            const tracker = sdk.trackDirty(root);
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+            tracker.dispose();
+            type(input, 'Changed');
+
+            expect(sent()).toEqual([]);
+        });
+    });
+
+    describe('state objects', () => {
+        test('tracks nested changes through tracker.state', () => {
+            const tracker = sdk.trackDirty({title: 'Order', tags: ['a']});
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 3}});
+
+            tracker.state.tags.push('b');
+
+            expect(tracker.isDirty()).toBe(true);
+
+            tracker.state.tags.pop();
+
+            expect(tracker.isDirty()).toBe(false);
+            expect(sent().map(message => message.name)).toEqual(['SetDirty', 'ClearDirty']);
+        });
+
+        test('reset takes a snapshot of loaded data', () => {
+            const tracker = sdk.trackDirty({title: ''});
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 3}});
+            tracker.target.title = 'Loaded';
+            tracker.reset();
+            tracker.state.title = 'Loaded';
+
+            expect(tracker.isDirty()).toBe(false);
+            expect(sent()).toEqual([]);
+        });
+    });
+
+    test('rejects invalid targets', () => {
+        expect(() => sdk.trackDirty(null)).toThrow(TypeError);
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Open/Save/Change flow on top of onOpen/onSave/onChange.
+ * Sends OpenFeedback, ValidationFeedback, SetDirty and ClearDirty when needed.
+ */
+export class LifecycleController {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     * @param {Object} handlers Lifecycle handlers, may return promises.
+     * @param {Function} [handlers.onOpen] Called with the Open message before OpenFeedback is sent.
+     * @param {Function} [handlers.onSave] Called with the Save message. Dirty state is cleared when the save succeeds.
+     * @param {Function} [handlers.onChange] Called with the Change message before validation.
+     * @param {Function} [handlers.validate] Returns true/undefined if valid, false or an error text otherwise.
+     */
+    constructor(sdk, handlers = {}) {
+        this.sdk = sdk;
+        this.handlers = handlers;
+        this.dirty = false;
+
+        this._unsubscribers = [
+            sdk.onOpen(message => this._handleOpen(message)),
+            sdk._onInternal('saveOutcome', outcome => outcome.success && this._resetDirty())
+        ];
+
+        if (handlers.onSave) {
+            this._unsubscribers.push(sdk.onSave(message => this._handleSave(message)));
+        }
+
+        if (handlers.onChange || handlers.validate) {
+            this._unsubscribers.push(sdk.onChange(message => this._handleChange(message)));
+        }
+    }
+
+    /**
+     * Handles Open: runs onOpen and confirms the Open with OpenFeedback.
+     * @param {Object} message Open message.
+     * @returns {Promise<void>}
+     */
+    async _handleOpen(message) {
+        this.dirty = false;
+
+        try {
+            await this._run('onOpen', message);
+        } catch (error) {
+            this.sdk._log(`Lifecycle onOpen error: ${error && error.message}`, 'warn');
+        }
+
+        if (this.sdk._lastOpenMessageId !== message.messageId) {
+            this.sdk._log(`OpenFeedback skipped: Open ${message.messageId} is outdated`);
+
+            return;
+        }
+
+        this.sdk.openFeedback(message.messageId);
+    }
+
+    /**
+     * Handles Save: runs onSave. The SDK waits for the returned promise and reports the outcome
+     * with SaveFeedback, dirty state is cleared on the saveOutcome of a successful save.
+     * @param {Object} message Save message.
+     * @returns {Promise<void>}
+     */
+    _handleSave(message) {
+        return this._run('onSave', message);
+    }
+
+    /**
+     * Handles Change: runs onChange and validate and reports the result with ValidationFeedback.
+     * @param {Object} message Change message.
+     * @returns {Promise<void>}
+     */
+    async _handleChange(message) {
+        let valid = true;
+        let messageText;
+
+        try {
+            await this._run('onChange', message);
+
+            const result = await this._run('validate', message);
+
+            if (result === false) {
+                valid = false;
+            } else if (typeof result === 'string') {
+                valid = false;
+                messageText = result;
+            }
+        } catch (error) {
+            valid = false;
+            messageText = error && error.message ? error.message : String(error);
+        }
+
+        if (this.sdk._lastChangeMessageId !== message.messageId) {
+            this.sdk._log(`ValidationFeedback skipped: Change ${message.messageId} is outdated`);
+
+            return;
+        }
+
+        this.sdk.validationFeedback(valid, messageText, message.messageId);
+    }
+
+    /**
+     * Runs a handler if it is set.
+     * @param {string} name Handler name.
+     * @param {Object} message Host message.
+     * @returns {Promise<*>} Handler result.
+     */
+    _run(name, message) {
+        const handler = this.handlers[name];
+
+        return handler ? Promise.resolve().then(() => handler(message, this)) : Promise.resolve();
+    }
+
+    /**
+     * Clears dirty state if it was set and ClearDirty was sent.
+     * @returns {void}
+     */
+    _resetDirty() {
+        if (this.dirty && this.sdk.clearDirty()) {
+            this.dirty = false;
+        }
+    }
+
+    /**
+     * Marks the widget data as changed. SetDirty is sent once per change of state.
+     * @returns {void}
+     */
+    setDirty() {
+        if (!this.dirty && this.sdk.setDirty()) {
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Marks the widget data as unchanged.
+     * @returns {void}
+     */
+    clearDirty() {
+        this._resetDirty();
+    }
+
+    /**
+     * Returns the current dirty state.
+     * @returns {boolean} True if there are unsaved changes.
+     */
+    isDirty() {
+        return this.dirty;
+    }
+
+    /**
+     * Unsubscribes from host events.
+     * @returns {void}
+     */
+    dispose() {
+        this._unsubscribers.forEach(unsubscribe => unsubscribe());
+        this._unsubscribers = [];
+    }
+}
@@ -0,0 +1,347 @@
+const global = typeof window !== 'undefined' ? window : undefined;
+
+/**
+ * Marker for a response builder that leaves a request unanswered.
+ */
+const NO_RESPONSE = Object.freeze({noResponse: true});
+
+/**
+ * Default answers to SDK requests.
+ */
+const DEFAULT_RESPONSES = {
+    ShowDialogRequest: request => ({
+        name: 'ShowDialogResponse',
+        result: request.buttons && request.buttons[0] ? request.buttons[0].name : null
+    }),
+    SelectGoodFolderRequest: () => ({
+        name: 'SelectGoodFolderResponse',
+        selected: false
+    }),
+    NavigateRequest: () => ({
+        name: 'NavigateResponse'
+    }),
+    UpdateRequest: () => ({
+        name: 'UpdateResponse'
+    }),
+    ShowPopupRequest: request => ({
+        name: 'ShowPopupResponse',
+        popupName: request.popupName
+    })
+};
+
+/**
+ * Offline host for widget tests.
+ * Intercepts postMessage of the host window, answers SDK requests and sends host events to the widget.
+ * Works with jsdom and with same-origin iframes.
+ */
+export class MockHost {
+    /**
+     * @param {Object} [options] Host options.
+     * @param {Window} [options.window] Widget window, the global window by default.
+     * @param {string} [options.origin] Origin of the host messages.
+     * @param {Object} [options.responses] Responses by request name: an object or a function of the request.
+     * @param {boolean} [options.autoRespond] Answer requests automatically, true by default.
+     */
+    constructor(options = {}) {
+        this.window = options.window || global;
+        this.origin = options.origin || 'https://online.moysklad.ru';
+        this.responses = {...DEFAULT_RESPONSES, ...options.responses};
+        this.autoRespond = options.autoRespond !== false;
+
+        this.received = [];
+        this._messageIdCounter = 0;
+        this._waiters = [];
+        this._hostWindow = null;
+        this._originalPostMessage = null;
+        this._hadOwnPostMessage = false;
+    }
+
+    /**
+     * Starts intercepting messages sent by the widget.
+     * @returns {MockHost} This host.
+     */
+    attach() {
+        if (this._hostWindow) {
+            return this;
+        }
+
+        const hostWindow = this.window.parent || this.window;
+
+        this._hostWindow = hostWindow;
+        this._hadOwnPostMessage = Object.prototype.hasOwnProperty.call(hostWindow, 'postMessage');
+        this._originalPostMessage = hostWindow.postMessage;
+
+        hostWindow.postMessage = message => this._receive(message);
+
+        return this;
+    }
+
+    /**
+     * Stops intercepting messages and restores postMessage of the host window.
+     * @returns {void}
+     */
+    detach() {
+        if (!this._hostWindow) {
+            return;
+        }
+
+        if (this._hadOwnPostMessage) {
+            this._hostWindow.postMessage = this._originalPostMessage;
+        } else {
+            delete this._hostWindow.postMessage;
+        }
+
+        this._hostWindow = null;
+        this._originalPostMessage = null;
+        this._waiters.forEach(waiter => waiter.cancel());
+        this._waiters = [];
+    }
+
+    /**
+     * Sets the response for a request name.
+     * @param {string} requestName Request name, e.g. ShowDialogRequest.
+     * @param {Object|Function} response Response fields or a function of the request.
+     * @returns {MockHost} This host.
+     */
+    respondTo(requestName, response) {
+        this.responses[requestName] = response;
+
+        return this;
+    }
+
+    /**
+     * Sends a response to an SDK request.
+     * @param {Object} request Request message.
+     * @param {Object} response Response fields.
+     * @returns {Object} Sent message.
+     */
+    reply(request, response) {
+        return this.emit(response.name || `${request.name.replace(/Request$/, '')}Response`, {
+            ...response,
+            correlationId: request.messageId
+        });
+    }
+
+    /**
+     * Sends an InvalidMessageError in response to an SDK request.
+     * @param {Object} request Request message.
+     * @param {string|Array} errors Error text or errors[] entries.
+     * @returns {Object} Sent message.
+     */
+    replyError(request, errors) {
+        return this.reply(request, {
+            name: 'InvalidMessageError',
+            errors: Array.isArray(errors) ? errors : [{error: errors}]
+        });
+    }
+
+    /**
+     * Sends a host message to the widget.
+     * @param {string} name Message name.
+     * @param {Object} [payload] Message fields.
+     * @returns {Object} Sent message.
+     */
+    emit(name, payload = {}) {
+        const message = {
+            name,
+            messageId: ++this._messageIdCounter,
+            ...payload
+        };
+        const event = new this.window.MessageEvent('message', {
+            data: message,
+            origin: this.origin,
+            source: this._hostWindow || this.window.parent || this.window
+        });
+
+        this.window.dispatchEvent(event);
+
+        return message;
+    }
+
+    /**
+     * Sends Open to the widget.
+     * @param {Object} [payload] Message fields: extensionPoint, objectId, displayMode.
+     * @returns {Object} Sent message.
+     */
+    open(payload) {
+        return this.emit('Open', payload);
+    }
+
+    /**
+     * Sends OpenPopup to the widget.
+     * @param {Object} [payload] Message fields: popupName, popupParameters.
+     * @returns {Object} Sent message.
+     */
+    openPopup(payload) {
+        return this.emit('OpenPopup', payload);
+    }
+
+    /**
+     * Sends Change to the widget.
+     * @param {Object} [payload] Message fields.
+     * @returns {Object} Sent message.
+     */
+    change(payload) {
+        return this.emit('Change', payload);
+    }
+
+    /**
+     * Sends Save to the widget.
+     * @param {Object} [payload] Message fields.
+     * @returns {Object} Sent message.
+     */
+    save(payload) {
+        return this.emit('Save', payload);
+    }
+
+    /**
+     * Returns messages received from the widget.
+     * @param {string} [name] Message name filter.
+     * @returns {Object[]} Received messages.
+     */
+    messages(name) {
+        return name ? this.received.filter(message => message.name === name) : this.received.slice();
+    }
+
+    /**
+     * Returns the last received message.
+     * @param {string} [name] Message name filter.
+     * @returns {Object|null} Message or null.
+     */
+    lastMessage(name) {
+        const messages = this.messages(name);
+
+        return messages.length ? messages[messages.length - 1] : null;
+    }
+
+    /**
+     * Forgets received messages.
+     * @returns {void}
+     */
+    reset() {
+        this.received = [];
+    }
+
+    /**
+     * Waits for a message from the widget.
+     * @param {string} name Message name.
+     * @param {Object} [options] Wait options.
+     * @param {Function} [options.predicate] Additional message filter.
+     * @param {number} [options.since] Index in received messages to look from, only new messages by default.
+     * @param {number} [options.timeout] Timeout in ms, 1000 by default.
+     * @returns {Promise<Object>} Promise with the message.
+     */
+    waitFor(name, options = {}) {
+        const predicate = options.predicate || (() => true);
+        const matches = message => message.name === name && predicate(message);
+        const since = options.since !== undefined ? options.since : this.received.length;
+        const found = this.received.slice(since).find(matches);
+
+        if (found) {
+            return Promise.resolve(found);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timeout = options.timeout !== undefined ? options.timeout : 1000;
+            const waiter = {
+                matches,
+                resolve: message => {
+                    clearTimeout(timerId);
+                    resolve(message);
+                },
+                cancel: () => {
+                    clearTimeout(timerId);
+                    reject(new Error(`MockHost detached while waiting for ${name}`));
+                }
+            };
+            const timerId = setTimeout(() => {
+                this._waiters = this._waiters.filter(item => item !== waiter);
+                reject(new Error(`MockHost: ${name} was not received in ${timeout} ms`));
+            }, timeout);
+
+            this._waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Runs a scripted scenario step by step.
+     * A step is a function of the host, {emit: name, ...payload} or {waitFor: name, predicate, timeout}.
+     * waitFor steps also see messages sent by the widget during the previous step.
+     * @param {Array} steps Scenario steps.
+     * @returns {Promise<Array>} Results of the steps.
+     */
+    async run(steps) {
+        const results = [];
+        let cursor = this.received.length;
+
+        for (const step of steps) {
+            const stepStart = this.received.length;
+
+            if (typeof step === 'function') {
+                results.push(await step(this));
+            } else if (step.emit) {
+                const {emit, ...payload} = step;
+
+                results.push(this.emit(emit, payload));
+            } else if (step.waitFor) {
+                results.push(await this.waitFor(step.waitFor, {
+                    predicate: step.predicate,
+                    timeout: step.timeout,
+                    since: cursor
+                }));
+            } else {
+                throw new Error(`MockHost: unknown scenario step ${JSON.stringify(step)}`);
+            }
+
+            cursor = stepStart;
+        }
+
+        return results;
+    }
+
+    /**
+     * Handles a message sent by the widget.
+     * @param {Object} message Widget message.
+     * @returns {void}
+     */
+    _receive(message) {
+        const copy = {...message};
+
+        this.received.push(copy);
+        this._waiters = this._waiters.filter(waiter => {
+            if (!waiter.matches(copy)) {
+                return true;
+            }
+
+            waiter.resolve(copy);
+
+            return false;
+        });
+
+        if (this.autoRespond && Object.prototype.hasOwnProperty.call(this.responses, copy.name)) {
+            Promise.resolve().then(() => this._autoRespond(copy));
+        }
+    }
+
+    /**
+     * Answers a request with the configured response.
+     * @param {Object} request Request message.
+     * @returns {void}
+     */
+    _autoRespond(request) {
+        if (!this._hostWindow) {
+            return;
+        }
+
+        const response = this.responses[request.name];
+        const payload = typeof response === 'function' ? response(request) : response;
+
+        if (payload === NO_RESPONSE || payload === null || payload === undefined) {
+            return;
+        }
+
+        this.reply(request, payload);
+    }
+}
+
+MockHost.NO_RESPONSE = NO_RESPONSE;
@@ -0,0 +1,116 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {MockHost} from './testing.js';
+import {useMockHost} from './testUtils.js';
+
+describe('MockHost', () => {
+    const mock = useMockHost();
+
+    test('is exported as WidgetSDK.testing and from the testing entry point', () => {
+        expect(WidgetSDK.testing.MockHost).toBe(MockHost);
+    });
+
+    test('auto-answers requests with default responses', async () => {
+        await expect(mock.sdk.showDialog('Delete?', [{name: 'Yes', caption: 'Да'}, {name: 'No', caption: 'Нет'}]))
+            .resolves.toMatchObject({name: 'ShowDialogResponse', result: 'Yes'});
+        await expect(mock.sdk.selectGoodFolder()).resolves.toMatchObject({name: 'SelectGoodFolderResponse'});
+        await expect(mock.sdk.navigateTo('/path')).resolves.toMatchObject({name: 'NavigateResponse'});
+        await expect(mock.sdk.update({})).resolves.toMatchObject({name: 'UpdateResponse'});
+        await expect(mock.sdk.showPopup('Picker'))
+            .resolves.toMatchObject({name: 'ShowPopupResponse', popupName: 'Picker'});
+
+        expect(mock.host.messages().map(message => message.name)).toEqual([
+            'ShowDialogRequest',
+            'SelectGoodFolderRequest',
+            'NavigateRequest',
+            'UpdateRequest',
+            'ShowPopupRequest',
+        ]);
+    });
+
+    test('uses configured responses and errors', async () => {
+        mock.host.respondTo('ShowDialogRequest', {result: 'No'});
+        mock.host.respondTo('UpdateRequest', request => ({
+            name: 'InvalidMessageError',
+            errors: [{error: `Bad state ${request.updateState.foo}`, code: 3001}],
+        }));
+
+        await expect(mock.sdk.showDialog('Delete?')).resolves.toMatchObject({name: 'ShowDialogResponse', result: 'No'});
+        await expect(mock.sdk.update({foo: 'bar'})).rejects.toMatchObject({
+            name: 'InvalidMessageError',
+            message: 'Bad state bar',
+        });
+    });
+
+    test('leaves requests unanswered with NO_RESPONSE', async () => {
+        jest.useFakeTimers();
+
+        try {
+            mock.host.respondTo('SelectGoodFolderRequest', MockHost.NO_RESPONSE);
+
+            const promise = mock.sdk.selectGoodFolder({timeout: 100});
+
+            jest.advanceTimersByTime(100);
+
+            await expect(promise).rejects.toMatchObject({name: 'RequestTimeout'});
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('emits host events and records feedback messages', () => {
+        mock.sdk.onOpen(message => {
+            mock.sdk.setDirty();
+            mock.sdk.openFeedback(message.messageId);
+        });
+        mock.sdk.onChange(() => mock.sdk.validationFeedback(false, 'Bad data'));
+
+        const open = mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'order-1'});
+        const change = mock.host.change();
+
+        expect(mock.sdk.getContext()).toMatchObject({objectId: 'order-1'});
+        expect(mock.host.lastMessage('SetDirty')).toMatchObject({openMessageId: open.messageId});
+        expect(mock.host.lastMessage('OpenFeedback')).toMatchObject({correlationId: open.messageId});
+        expect(mock.host.messages('ValidationFeedback')).toEqual([
+            expect.objectContaining({correlationId: change.messageId, valid: false, message: 'Bad data'}),
+        ]);
+    });
+
+    test('runs scripted scenarios', async () => {
+        const controller = mock.sdk.lifecycle({
+            onOpen: () => Promise.resolve(),
+            validate: message => (message.valid ? true : 'Invalid'),
+            onSave: () => Promise.resolve(),
+        });
+
+        const [, openFeedback, , validation] = await mock.host.run([
+            {emit: 'Open', extensionPoint: 'entity.counterparty.edit'},
+            {waitFor: 'OpenFeedback'},
+            {emit: 'Change', valid: false},
+            {waitFor: 'ValidationFeedback'},
+            () => controller.setDirty(),
+            {emit: 'Save'},
+            {waitFor: 'ClearDirty'},
+        ]);
+
+        expect(openFeedback.correlationId).toBe(1);
+        expect(validation).toMatchObject({valid: false, message: 'Invalid'});
+        expect(mock.host.messages('SetDirty')).toHaveLength(1);
+    });
+
+    test('detach restores postMessage', () => {
+        mock.host.detach();
+
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+
+        try {
+            mock.sdk.clearDirty();
+
+            expect(postMessageSpy).toHaveBeenCalled();
+            expect(mock.host.messages()).toEqual([]);
+        } finally {
+            postMessageSpy.mockRestore();
+        }
+    });
+});
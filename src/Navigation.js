@@ -0,0 +1,135 @@
+import {MessageValidationError} from './errors.js';
+
+const TARGETS = ['blank', 'self'];
+
+/**
+ * Sections of the MoySklad UI by entity type of the JSON API.
+ * Paths: list /app/#section, object /app/#section/edit?id=..., new object /app/#section/edit.
+ */
+export const ENTITY_ROUTES = Object.freeze({
+    // documents
+    customerorder: 'customerorder',
+    demand: 'demand',
+    salesreturn: 'salesreturn',
+    invoiceout: 'invoiceout',
+    purchaseorder: 'purchaseorder',
+    supply: 'supply',
+    purchasereturn: 'purchasereturn',
+    invoicein: 'invoicein',
+    paymentin: 'paymentin',
+    paymentout: 'paymentout',
+    cashin: 'cashin',
+    cashout: 'cashout',
+    move: 'move',
+    enter: 'enter',
+    loss: 'loss',
+    inventory: 'inventory',
+    internalorder: 'internalorder',
+    retaildemand: 'retaildemand',
+    // catalogs
+    product: 'good',
+    service: 'service',
+    bundle: 'bundle',
+    counterparty: 'Company',
+    contract: 'contract',
+    employee: 'employee',
+    store: 'warehouse',
+    project: 'project'
+});
+
+/**
+ * Navigation to MoySklad entities on top of navigateTo.
+ */
+export class Navigation {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     */
+    constructor(sdk) {
+        this.sdk = sdk;
+    }
+
+    /**
+     * Opens an object.
+     * @param {string} entityType Entity type, e.g. customerorder, product, counterparty.
+     * @param {string} id Object id.
+     * @param {Object} [options] Navigation options and request options (timeout, signal), see sendRequest.
+     * @param {boolean} [options.newTab] Open in a new tab, true by default.
+     * @param {string} [options.target] Navigation target: blank | self, overrides newTab.
+     * @returns {Promise<void>} Promise resolved when the host has navigated.
+     */
+    toEntity(entityType, id, options = {}) {
+        if (typeof id !== 'string' || !id) {
+            return Promise.reject(this._error('id', 'id must be a non-empty string'));
+        }
+
+        return this._navigate(entityType, `/edit?id=${encodeURIComponent(id)}`, options);
+    }
+
+    /**
+     * Opens a list of objects.
+     * @param {string} entityType Entity type.
+     * @param {Object} [filter] List parameters, added to the path as a query string. Arrays add repeated keys.
+     * @param {Object} [options] Navigation options, see toEntity.
+     * @returns {Promise<void>} Promise resolved when the host has navigated.
+     */
+    toList(entityType, filter = {}, options = {}) {
+        const query = new URLSearchParams();
+
+        Object.keys(filter || {}).forEach(key => {
+            [].concat(filter[key])
+                .filter(value => value !== undefined && value !== null)
+                .forEach(value => query.append(key, String(value)));
+        });
+
+        const search = query.toString();
+
+        return this._navigate(entityType, search ? `?${search}` : '', options);
+    }
+
+    /**
+     * Opens a form of a new object.
+     * @param {string} entityType Entity type.
+     * @param {Object} [options] Navigation options, see toEntity.
+     * @returns {Promise<void>} Promise resolved when the host has navigated.
+     */
+    toNew(entityType, options = {}) {
+        return this._navigate(entityType, '/edit', options);
+    }
+
+    /**
+     * Builds the path from the route table and sends NavigateRequest.
+     * @param {string} entityType Entity type.
+     * @param {string} suffix Path after the section.
+     * @param {Object} options Navigation and request options.
+     * @returns {Promise<void>} Promise resolved when the host has navigated.
+     */
+    _navigate(entityType, suffix, options) {
+        const {newTab, target = newTab === false ? 'self' : 'blank', ...requestOptions} = options;
+
+        if (!Object.prototype.hasOwnProperty.call(ENTITY_ROUTES, entityType)) {
+            return Promise.reject(this._error('entityType', `Unknown entity type ${JSON.stringify(entityType)}`));
+        }
+
+        if (!TARGETS.includes(target)) {
+            const error = `target must be one of ${TARGETS.join(', ')}, got ${JSON.stringify(target)}`;
+
+            return Promise.reject(this._error('target', error));
+        }
+
+        return this.sdk.navigateTo(`/app/#${ENTITY_ROUTES[entityType]}${suffix}`, target, requestOptions)
+            .then(() => undefined);
+    }
+
+    /**
+     * Creates an error for invalid navigation arguments.
+     * @param {string} field Invalid argument.
+     * @param {string} error Error text.
+     * @returns {MessageValidationError} Error.
+     */
+    _error(field, error) {
+        return new MessageValidationError(`Invalid navigation: ${error}`, {
+            requestName: 'NavigateRequest',
+            errors: [{field, error}]
+        });
+    }
+}
@@ -0,0 +1,55 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {useMockHost} from './testUtils.js';
+
+describe('navigation', () => {
+    const mock = useMockHost();
+
+    const lastRequest = () => mock.host.lastMessage('NavigateRequest');
+
+    test('toEntity builds the object path from the route table', async () => {
+        await expect(mock.sdk.navigation.toEntity('product', 'a b')).resolves.toBeUndefined();
+        expect(lastRequest()).toMatchObject({path: '/app/#good/edit?id=a%20b', target: 'blank'});
+
+        await mock.sdk.navigation.toEntity('counterparty', 'id', {newTab: false});
+        expect(lastRequest()).toMatchObject({path: '/app/#Company/edit?id=id', target: 'self'});
+    });
+
+    test('toList adds the filter as a query string', async () => {
+        await mock.sdk.navigation.toList('customerorder', {
+            state: ['new', 'paid'],
+            search: 'Иванов',
+            skipped: undefined,
+        });
+        expect(lastRequest().path)
+            .toBe(`/app/#customerorder?state=new&state=paid&search=${encodeURIComponent('Иванов')}`);
+
+        await mock.sdk.navigation.toList('store');
+        expect(lastRequest().path).toBe('/app/#warehouse');
+    });
+
+    test('toNew opens the form of a new object', async () => {
+        await mock.sdk.navigation.toNew('demand', {target: 'self'});
+        expect(lastRequest()).toMatchObject({path: '/app/#demand/edit', target: 'self'});
+    });
+
+    test('rejects unknown entity types, empty ids and invalid targets without sending', async () => {
+        await expect(mock.sdk.navigation.toNew('unicorn')).rejects.toMatchObject({
+            name: 'MessageValidationError',
+            message: 'Invalid navigation: Unknown entity type "unicorn"',
+            errors: [expect.objectContaining({field: 'entityType'})],
+        });
+        await expect(mock.sdk.navigation.toEntity('product', '')).rejects.toThrow('id must be a non-empty string');
+        await expect(mock.sdk.navigation.toList('product', {}, {target: 'new'}))
+            .rejects.toThrow('target must be one of blank, self, got "new"');
+        expect(mock.host.messages()).toEqual([]);
+    });
+
+    test('rejects when the host answers with an error', async () => {
+        mock.host.respondTo('NavigateRequest', {name: 'InvalidMessageError', errors: [{error: 'Access denied'}]});
+
+        await expect(mock.sdk.navigation.toEntity('product', 'id'))
+            .rejects.toBeInstanceOf(WidgetSDK.HostInvalidMessageError);
+    });
+});
@@ -0,0 +1,232 @@
+import {MessageValidationError, PopupRejectedError} from './errors.js';
+
+/**
+ * Key of the popupResponse envelope written by popup sessions: {[RESULT_KEY]: status, value, error}.
+ */
+const RESULT_KEY = 'widgetSdkPopupResult';
+
+/**
+ * Runs a validator: true or undefined means valid, false or a string means invalid, a thrown error is invalid.
+ * @param {Function} [validator] Validator.
+ * @param {*} value Checked value.
+ * @returns {string|null} Error text or null if the value is valid.
+ */
+function runValidator(validator, value) {
+    if (!validator) {
+        return null;
+    }
+
+    try {
+        const result = validator(value);
+
+        if (result === false) {
+            return 'validation failed';
+        }
+
+        return typeof result === 'string' ? result : null;
+    } catch (error) {
+        return error && error.message ? error.message : String(error);
+    }
+}
+
+/**
+ * Popup side of a popup opened with OpenPopup.
+ */
+class PopupSession {
+    /**
+     * @param {Popups} popups Popup manager.
+     * @param {WidgetContext} context Popup context.
+     */
+    constructor(popups, context) {
+        this.name = context.popupName;
+        this.parameters = context.popupParameters;
+        this.messageId = context.messageId;
+        this.closed = false;
+
+        this._popups = popups;
+    }
+
+    /**
+     * Closes the popup with a response.
+     * @param {*} value Popup response.
+     * @returns {boolean} True if ClosePopup was sent, false if the popup is already closed.
+     * @throws {MessageValidationError} If the response does not pass the validator of a registered popup.
+     */
+    resolve(value) {
+        const definition = this._popups._definitions.get(this.name);
+        const error = runValidator(definition && definition.validateResponse, value);
+
+        if (error) {
+            throw new MessageValidationError(`Invalid response of popup ${this.name}: ${error}`, {
+                requestName: 'ClosePopup',
+                errors: [{field: 'popupResponse', error}]
+            });
+        }
+
+        return this._close({[RESULT_KEY]: 'resolved', value});
+    }
+
+    /**
+     * Closes the popup with an error, the opener gets PopupRejectedError.
+     * @param {Error|string} [reason] Error or error text.
+     * @returns {boolean} True if ClosePopup was sent, false if the popup is already closed.
+     */
+    reject(reason) {
+        const error = reason && reason.message ? reason.message : String(reason ?? 'Popup rejected');
+
+        return this._close({[RESULT_KEY]: 'rejected', error});
+    }
+
+    /**
+     * Closes the popup without a response, the opener gets null.
+     * @returns {boolean} True if ClosePopup was sent, false if the popup is already closed.
+     */
+    cancel() {
+        return this._close({[RESULT_KEY]: 'cancelled'});
+    }
+
+    /**
+     * Sends ClosePopup once.
+     * @param {Object} popupResponse Popup response envelope.
+     * @returns {boolean} True if ClosePopup was sent.
+     */
+    _close(popupResponse) {
+        if (this.closed) {
+            this._popups.sdk._log(`Popup ${this.name} is already closed`, 'warn');
+
+            return false;
+        }
+
+        this.closed = true;
+        this._popups.sdk.closePopup(popupResponse);
+
+        return true;
+    }
+}
+
+/**
+ * Popup sessions on top of showPopup, OpenPopup and closePopup.
+ * The opener calls open(name, parameters), the popup gets its session with current().
+ */
+export class Popups {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     */
+    constructor(sdk) {
+        this.sdk = sdk;
+
+        this._definitions = new Map();
+        this._session = null;
+    }
+
+    /**
+     * Registers a named popup with validators of parameters and response.
+     * Validators return true/undefined if the value is valid, false or an error text otherwise.
+     * @param {string} name Popup name.
+     * @param {Object} [definition] Popup definition.
+     * @param {Function} [definition.validateParameters] Checks popupParameters before opening and in the popup.
+     * @param {Function} [definition.validateResponse] Checks the response before closing and in the opener.
+     * @returns {Function} Function that removes the registration.
+     */
+    register(name, definition = {}) {
+        if (typeof name !== 'string' || !name) {
+            throw new TypeError('Popup name must be a non-empty string');
+        }
+
+        this._definitions.set(name, definition);
+
+        return () => {
+            if (this._definitions.get(name) === definition) {
+                this._definitions.delete(name);
+            }
+        };
+    }
+
+    /**
+     * Opens a popup and waits until it is closed.
+     * @param {string} name Popup name.
+     * @param {*} [parameters] Popup parameters.
+     * @param {Object} [options] Request options, see sendRequest.
+     * @returns {Promise<*>} Promise with the popup response or null if the popup was cancelled or closed without one.
+     *                       Rejected with PopupRejectedError if the popup called reject.
+     */
+    open(name, parameters, options = {}) {
+        const definition = this._definitions.get(name);
+        const error = runValidator(definition && definition.validateParameters, parameters);
+
+        if (error) {
+            return Promise.reject(new MessageValidationError(`Invalid parameters of popup ${name}: ${error}`, {
+                requestName: 'ShowPopupRequest',
+                errors: [{field: 'popupParameters', error}]
+            }));
+        }
+
+        return this.sdk.showPopup(name, parameters, options).then(response => this._readResponse(name, response));
+    }
+
+    /**
+     * Unwraps ShowPopupResponse. Responses of popups without a session are returned as is.
+     * @param {string} name Popup name.
+     * @param {Object} response ShowPopupResponse message.
+     * @returns {*} Popup response or null.
+     */
+    _readResponse(name, response) {
+        const popupResponse = response ? response.popupResponse : undefined;
+        let value = popupResponse ?? null;
+
+        if (popupResponse && typeof popupResponse === 'object' && RESULT_KEY in popupResponse) {
+            if (popupResponse[RESULT_KEY] === 'rejected') {
+                throw new PopupRejectedError(popupResponse.error, {
+                    requestName: 'ShowPopupRequest',
+                    messageId: response.correlationId,
+                    rawMessage: response
+                });
+            }
+
+            value = popupResponse[RESULT_KEY] === 'resolved' ? popupResponse.value : null;
+        }
+
+        if (value === null) {
+            return null;
+        }
+
+        const definition = this._definitions.get(name);
+        const error = runValidator(definition && definition.validateResponse, value);
+
+        if (error) {
+            throw new MessageValidationError(`Invalid response of popup ${name}: ${error}`, {
+                requestName: 'ShowPopupRequest',
+                messageId: response.correlationId,
+                errors: [{field: 'popupResponse', error}],
+                rawMessage: response
+            });
+        }
+
+        return value;
+    }
+
+    /**
+     * Returns the session of the popup this widget is opened in.
+     * @returns {PopupSession|null} Session of the last OpenPopup or null outside of a popup.
+     */
+    current() {
+        const context = this.sdk.getContext();
+
+        if (!context || !context.isPopup()) {
+            return null;
+        }
+
+        if (!this._session || this._session.messageId !== context.messageId) {
+            this._session = new PopupSession(this, context);
+
+            const definition = this._definitions.get(context.popupName);
+            const error = runValidator(definition && definition.validateParameters, context.popupParameters);
+
+            if (error) {
+                this.sdk._log(`Invalid parameters of popup ${context.popupName}: ${error}`, 'warn');
+            }
+        }
+
+        return this._session;
+    }
+}
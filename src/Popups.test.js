@@ -0,0 +1,124 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {useMockHost} from './testUtils.js';
+
+describe('popups', () => {
+    const mock = useMockHost();
+
+    describe('popup side', () => {
+        test('current() is null outside of a popup', () => {
+            expect(mock.sdk.popups.current()).toBeNull();
+
+            mock.host.open({extensionPoint: 'document.customerorder.edit'});
+
+            expect(mock.sdk.popups.current()).toBeNull();
+        });
+
+        test('exposes parameters and closes the popup once', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            try {
+                mock.host.openPopup({popupName: 'Picker', popupParameters: {ids: ['a']}});
+
+                const popup = mock.sdk.popups.current();
+
+                expect(popup).toMatchObject({name: 'Picker', parameters: {ids: ['a']}, closed: false});
+                expect(mock.sdk.popups.current()).toBe(popup);
+                expect(popup.resolve({id: 'a'})).toBe(true);
+                expect(popup.cancel()).toBe(false);
+                expect(popup.closed).toBe(true);
+                expect(mock.host.messages('ClosePopup')).toEqual([
+                    expect.objectContaining({popupResponse: {widgetSdkPopupResult: 'resolved', value: {id: 'a'}}}),
+                ]);
+                expect(warnSpy).toHaveBeenCalledWith('[WidgetSDK]', 'Popup Picker is already closed');
+            } finally {
+                warnSpy.mockRestore();
+            }
+        });
+
+        test('starts a new session on the next OpenPopup', () => {
+            mock.host.openPopup({popupName: 'Picker'});
+            mock.sdk.popups.current().reject(new Error('Nothing selected'));
+            mock.host.openPopup({popupName: 'Picker'});
+
+            expect(mock.sdk.popups.current().closed).toBe(false);
+            expect(mock.sdk.popups.current().cancel()).toBe(true);
+            expect(mock.host.messages('ClosePopup').map(message => message.popupResponse)).toEqual([
+                {widgetSdkPopupResult: 'rejected', error: 'Nothing selected'},
+                {widgetSdkPopupResult: 'cancelled'},
+            ]);
+        });
+
+        test('checks the response of a registered popup before closing', () => {
+            mock.sdk.popups.register('Picker', {
+                validateResponse: response => Array.isArray(response) || 'expected ids',
+            });
+            mock.host.openPopup({popupName: 'Picker'});
+
+            const popup = mock.sdk.popups.current();
+
+            expect(() => popup.resolve('a')).toThrow('Invalid response of popup Picker: expected ids');
+            expect(popup.closed).toBe(false);
+            expect(popup.resolve(['a'])).toBe(true);
+        });
+    });
+
+    describe('opener side', () => {
+        const closedWith = popupResponse => () => ({popupName: 'Picker', popupResponse});
+
+        test('resolves with the popup response', async () => {
+            mock.host.respondTo('ShowPopupRequest', closedWith({widgetSdkPopupResult: 'resolved', value: ['a']}));
+
+            await expect(mock.sdk.popups.open('Picker', {multiple: true})).resolves.toEqual(['a']);
+            expect(mock.host.lastMessage('ShowPopupRequest')).toMatchObject({
+                popupName: 'Picker',
+                popupParameters: {multiple: true},
+            });
+        });
+
+        test('maps cancel, reject and raw responses', async () => {
+            mock.host.respondTo('ShowPopupRequest', closedWith({widgetSdkPopupResult: 'cancelled'}));
+            await expect(mock.sdk.popups.open('Picker')).resolves.toBeNull();
+
+            mock.host.respondTo('ShowPopupRequest', closedWith(undefined));
+            await expect(mock.sdk.popups.open('Picker')).resolves.toBeNull();
+
+            mock.host.respondTo('ShowPopupRequest', closedWith({id: 'raw'}));
+            await expect(mock.sdk.popups.open('Picker')).resolves.toEqual({id: 'raw'});
+
+            mock.host.respondTo('ShowPopupRequest', closedWith({
+                widgetSdkPopupResult: 'rejected',
+                error: 'Nothing selected',
+            }));
+
+            const error = await mock.sdk.popups.open('Picker').catch(e => e);
+
+            expect(error).toBeInstanceOf(WidgetSDK.PopupRejectedError);
+            expect(error).toMatchObject({code: 'POPUP_REJECTED', message: 'Nothing selected'});
+        });
+
+        test('validates parameters and response of registered popups', async () => {
+            const unregister = mock.sdk.popups.register('Picker', {
+                validateParameters: parameters => !!(parameters && parameters.entityType),
+                validateResponse: response => typeof response === 'string' || 'expected an id',
+            });
+
+            await expect(mock.sdk.popups.open('Picker', {})).rejects.toMatchObject({
+                name: 'MessageValidationError',
+                message: 'Invalid parameters of popup Picker: validation failed',
+                errors: [expect.objectContaining({field: 'popupParameters'})],
+            });
+            expect(mock.host.messages()).toEqual([]);
+
+            mock.host.respondTo('ShowPopupRequest', closedWith({widgetSdkPopupResult: 'resolved', value: 42}));
+
+            await expect(mock.sdk.popups.open('Picker', {entityType: 'product'}))
+                .rejects.toThrow('Invalid response of popup Picker: expected an id');
+
+            unregister();
+
+            await expect(mock.sdk.popups.open('Picker', {})).resolves.toBe(42);
+        });
+    });
+});
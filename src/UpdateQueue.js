@@ -0,0 +1,193 @@
+import {SDKDestroyedError, WidgetSDKError} from './errors.js';
+
+/**
+ * Checks for a plain object.
+ * @param {*} value Value.
+ * @returns {boolean} True for objects that are not arrays.
+ */
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges a partial state into a copy of the state. Nested objects are merged, other values are replaced.
+ * @param {Object} state Merged state.
+ * @param {Object} partialState Partial state.
+ * @returns {Object} New state.
+ */
+function mergeState(state, partialState) {
+    const merged = {...state};
+
+    Object.keys(partialState).forEach(key => {
+        const value = partialState[key];
+
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeState(merged[key], value) : value;
+    });
+
+    return merged;
+}
+
+/**
+ * Batches update() calls: partial states are merged over a debounce window and sent as one UpdateRequest.
+ * Only one batch is in flight at a time, a batch that is not sent yet is dropped when a newer Open arrives.
+ */
+export class UpdateQueue {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     * @param {Object} [options] Queue options.
+     * @param {number} [options.debounce] Debounce window in ms, 100 by default.
+     */
+    constructor(sdk, options = {}) {
+        this.sdk = sdk;
+        this.debounce = options.debounce >= 0 ? options.debounce : 100;
+
+        this._batch = null;
+        this._inFlight = false;
+        this._unsubscribe = sdk._onInternal('Open', message => this._dropObsolete(message.messageId));
+    }
+
+    /**
+     * Adds a partial state to the next UpdateRequest.
+     * @param {Object} partialState Partial document state.
+     * @returns {Promise<Object>} Promise with the UpdateResponse of the batch.
+     */
+    queue(partialState) {
+        if (!isPlainObject(partialState)) {
+            return Promise.reject(new TypeError('updates.queue expects a state object'));
+        }
+
+        if (!this._batch) {
+            this._batch = {
+                state: {},
+                openMessageId: this.sdk._lastOpenMessageId,
+                callers: [],
+                timerId: null,
+                ready: false
+            };
+        }
+
+        const batch = this._batch;
+
+        batch.state = mergeState(batch.state, partialState);
+
+        if (!batch.ready) {
+            clearTimeout(batch.timerId);
+            batch.timerId = setTimeout(() => this.flush(), this.debounce);
+        }
+
+        return new Promise((resolve, reject) => {
+            batch.callers.push({resolve, reject});
+        });
+    }
+
+    /**
+     * Sends the queued batch without waiting for the debounce window, after the batch in flight.
+     * @returns {void}
+     */
+    flush() {
+        if (!this._batch) {
+            return;
+        }
+
+        clearTimeout(this._batch.timerId);
+        this._batch.ready = true;
+
+        if (!this._inFlight) {
+            this._send();
+        }
+    }
+
+    /**
+     * Checks if a batch is queued or in flight.
+     * @returns {boolean} True if there are unfinished updates.
+     */
+    isPending() {
+        return !!this._batch || this._inFlight;
+    }
+
+    /**
+     * Sends the queued batch and resolves its callers with the response.
+     * @returns {void}
+     */
+    _send() {
+        const batch = this._batch;
+
+        this._batch = null;
+
+        if (batch.openMessageId !== this.sdk._lastOpenMessageId) {
+            this._settle(batch, 'reject', this._droppedError());
+
+            return;
+        }
+
+        this._inFlight = true;
+        this.sdk.update(batch.state)
+            .then(
+                response => this._settle(batch, 'resolve', response),
+                error => this._settle(batch, 'reject', error)
+            )
+            .then(() => {
+                this._inFlight = false;
+
+                if (this._batch && this._batch.ready) {
+                    this._send();
+                }
+            });
+    }
+
+    /**
+     * Resolves or rejects all callers of a batch.
+     * @param {Object} batch Batch.
+     * @param {'resolve'|'reject'} method Settle method.
+     * @param {*} value Response or error.
+     * @returns {void}
+     */
+    _settle(batch, method, value) {
+        batch.callers.forEach(caller => caller[method](value));
+    }
+
+    /**
+     * Drops the queued batch if it was collected for an older Open.
+     * @param {number} openMessageId messageId of the new Open.
+     * @returns {void}
+     */
+    _dropObsolete(openMessageId) {
+        if (!this._batch || this._batch.openMessageId === openMessageId) {
+            return;
+        }
+
+        const batch = this._batch;
+
+        this._batch = null;
+        clearTimeout(batch.timerId);
+        this.sdk._log(`Queued update dropped: Open ${openMessageId} replaced Open ${batch.openMessageId}`);
+        this._settle(batch, 'reject', this._droppedError());
+    }
+
+    /**
+     * Creates an error for a dropped batch.
+     * @returns {WidgetSDKError} Error.
+     */
+    _droppedError() {
+        return new WidgetSDKError('Update dropped: the document was opened again', {
+            code: 'UPDATE_DROPPED',
+            requestName: 'UpdateRequest'
+        });
+    }
+
+    /**
+     * Rejects the queued batch and stops listening to Open.
+     * @returns {void}
+     */
+    dispose() {
+        this._unsubscribe();
+
+        if (this._batch) {
+            const batch = this._batch;
+
+            this._batch = null;
+            clearTimeout(batch.timerId);
+            this._settle(batch, 'reject', new SDKDestroyedError(undefined, {requestName: 'UpdateRequest'}));
+        }
+    }
+}
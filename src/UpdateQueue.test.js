@@ -0,0 +1,112 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {flushMicrotasks, useMockHost} from './testUtils.js';
+
+describe('updates.queue', () => {
+    const mock = useMockHost({host: {autoRespond: false}, sdk: {updateDebounce: 50}});
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'id'});
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('merges partial states within the debounce window into one UpdateRequest', async () => {
+        const first = mock.sdk.updates.queue({description: 'A', attributes: {color: 'red'}});
+
+        jest.advanceTimersByTime(30);
+
+        const second = mock.sdk.updates.queue({description: 'AB', attributes: {size: 'L'}});
+
+        jest.advanceTimersByTime(30);
+
+        expect(mock.host.messages('UpdateRequest')).toEqual([]);
+
+        jest.advanceTimersByTime(20);
+
+        expect(mock.host.messages('UpdateRequest')).toEqual([
+            expect.objectContaining({updateState: {description: 'AB', attributes: {color: 'red', size: 'L'}}}),
+        ]);
+
+        const response = mock.host.reply(mock.host.lastMessage('UpdateRequest'), {updateState: {description: 'AB'}});
+
+        await expect(first).resolves.toEqual(response);
+        await expect(second).resolves.toBe(await first);
+        expect(mock.sdk.updates.isPending()).toBe(false);
+    });
+
+    test('sends the next batch only after the batch in flight is answered', async () => {
+        const first = mock.sdk.updates.queue({sum: 1});
+
+        jest.advanceTimersByTime(50);
+
+        const second = mock.sdk.updates.queue({sum: 2});
+        const third = mock.sdk.updates.queue({vat: true});
+
+        jest.advanceTimersByTime(50);
+
+        expect(mock.host.messages('UpdateRequest')).toHaveLength(1);
+
+        mock.host.replyError(mock.host.lastMessage('UpdateRequest'), 'Locked');
+        await expect(first).rejects.toBeInstanceOf(WidgetSDK.HostInvalidMessageError);
+        await flushMicrotasks();
+
+        expect(mock.host.messages('UpdateRequest').map(message => message.updateState)).toEqual([
+            {sum: 1},
+            {sum: 2, vat: true},
+        ]);
+
+        mock.host.reply(mock.host.lastMessage('UpdateRequest'), {});
+
+        await expect(second).resolves.toMatchObject({name: 'UpdateResponse'});
+        await expect(third).resolves.toBe(await second);
+    });
+
+    test('drops queued updates when a newer Open arrives', async () => {
+        const queued = mock.sdk.updates.queue({sum: 1});
+
+        mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'other'});
+        jest.advanceTimersByTime(50);
+
+        await expect(queued).rejects.toMatchObject({code: 'UPDATE_DROPPED', requestName: 'UpdateRequest'});
+        expect(mock.host.messages('UpdateRequest')).toEqual([]);
+    });
+
+    test('drops a batch that waited for a request sent before the newer Open', async () => {
+        const sent = mock.sdk.updates.queue({sum: 1});
+
+        jest.advanceTimersByTime(50);
+
+        const waiting = mock.sdk.updates.queue({sum: 2});
+
+        jest.advanceTimersByTime(50);
+        mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'other'});
+        mock.host.reply(mock.host.lastMessage('UpdateRequest'), {});
+
+        await expect(sent).resolves.toMatchObject({name: 'UpdateResponse'});
+        await expect(waiting).rejects.toMatchObject({code: 'UPDATE_DROPPED'});
+        expect(mock.host.messages('UpdateRequest')).toHaveLength(1);
+    });
+
+    test('flush sends without waiting and destroy rejects queued updates', async () => {
+        const flushed = mock.sdk.updates.queue({sum: 1});
+
+        mock.sdk.updates.flush();
+
+        expect(mock.host.messages('UpdateRequest')).toHaveLength(1);
+
+        mock.host.reply(mock.host.lastMessage('UpdateRequest'), {});
+        await flushed;
+
+        const queued = mock.sdk.updates.queue({sum: 2});
+
+        mock.sdk.destroy();
+
+        await expect(queued).rejects.toBeInstanceOf(WidgetSDK.SDKDestroyedError);
+        await expect(mock.sdk.updates.queue(null)).rejects.toThrow('updates.queue expects a state object');
+    });
+});
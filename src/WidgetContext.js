@@ -0,0 +1,70 @@
+/**
+ * Returns a frozen copy of plain objects and arrays.
+ * @param {*} value Value to copy.
+ * @returns {*} Frozen copy.
+ */
+function freezeCopy(value) {
+    if (Array.isArray(value)) {
+        return Object.freeze(value.map(freezeCopy));
+    }
+
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+
+        Object.keys(value).forEach(key => {
+            copy[key] = freezeCopy(value[key]);
+        });
+
+        return Object.freeze(copy);
+    }
+
+    return value;
+}
+
+/**
+ * Immutable widget context parsed from the Open or OpenPopup message.
+ */
+export class WidgetContext {
+    /**
+     * @param {Object} message Open or OpenPopup message.
+     */
+    constructor(message) {
+        const isPopup = message.name === 'OpenPopup';
+        const extensionPoint = typeof message.extensionPoint === 'string' ? message.extensionPoint : null;
+        const [kind, entityType, action] = extensionPoint ? extensionPoint.split('.') : [];
+
+        this.messageId = message.messageId ?? null;
+        this.extensionPoint = extensionPoint;
+        this.kind = isPopup ? 'popup' : (kind === 'document' || kind === 'entity' ? kind : 'unknown');
+        this.entityType = isPopup ? null : entityType || null;
+        this.action = isPopup ? null : action || null;
+        this.objectId = message.objectId || null;
+        this.isNew = !isPopup && (this.action === 'create' || !this.objectId);
+        this.displayMode = message.displayMode || null;
+        this.popupName = isPopup ? message.popupName || null : null;
+        this.popupParameters = isPopup ? freezeCopy(message.popupParameters ?? null) : null;
+
+        Object.freeze(this);
+    }
+
+    /**
+     * @returns {boolean} True if the widget is placed on a document.
+     */
+    isDocument() {
+        return this.kind === 'document';
+    }
+
+    /**
+     * @returns {boolean} True if the widget is placed on an entity.
+     */
+    isEntity() {
+        return this.kind === 'entity';
+    }
+
+    /**
+     * @returns {boolean} True if the widget is a custom popup.
+     */
+    isPopup() {
+        return this.kind === 'popup';
+    }
+}
@@ -1,484 +1,1474 @@
-(function (global) {
-    'use strict';
+import {
+    HostInvalidMessageError,
+    MessageValidationError,
+    RequestAbortedError,
+    SDKDestroyedError,
+    TimeoutError,
+    TransportError,
+    WidgetSDKError
+} from './errors.js';
+import {Dialogs} from './Dialogs.js';
+import {DirtyTracker} from './DirtyTracker.js';
+import {LifecycleController} from './LifecycleController.js';
+import {Navigation} from './Navigation.js';
+import {Popups} from './Popups.js';
+import {ConsoleLogSink, Logger, MemoryLogSink} from './logger.js';
+import {getRetryDelay, normalizeRetryPolicy} from './retry.js';
+import {
+    getDevtoolsPanel,
+    joinSave,
+    joinWindowRouter,
+    nextMessageId,
+    registerInstance,
+    unregisterInstance
+} from './registry.js';
+import {UpdateQueue} from './UpdateQueue.js';
+import {EventIterator, EventObservable, waitForEvent} from './streams.js';
+import {INCOMING_SCHEMAS, PROTOCOL_VERSION, VALIDATION_ENABLED, validateMessage} from './schemas.js';
+import {WidgetContext} from './WidgetContext.js';
+
+const global = typeof window !== 'undefined' ? window : undefined;
+
+/**
+ * Events emitted by the SDK itself. Their listeners are kept apart from host message listeners,
+ * so patterns and host messages with the same names do not reach them.
+ */
+const SDK_EVENTS = ['unhandled', 'protocolMismatch'];
+
+export class WidgetSDKInstance {
+    constructor(options = {}) {
+        this.debug = !!options.debug;
+        this.logLevel = options.logLevel || (this.debug ? 'debug' : 'warn');
+        this.logBuffer = options.logBuffer
+            ? new MemoryLogSink({size: typeof options.logBuffer === 'number' ? options.logBuffer : undefined})
+            : null;
+        this.devtools = this._createDevtools(options.devtools);
+        this._logger = new Logger([
+            options.logger || new ConsoleLogSink({level: this.logLevel}),
+            this.logBuffer,
+            this.devtools
+        ], this.logLevel);
+        this.hostOrigins = this._normalizeOrigins(options.hostOrigins);
+        this.requestTimeout = options.requestTimeout > 0 ? options.requestTimeout : 0;
+        this.retry = options.retry ? normalizeRetryPolicy(options.retry) : null;
+        this.validate = !!options.validate;
+        this.saveTimeout = options.saveTimeout >= 0 ? options.saveTimeout : 10000;
+
+        if (options.devtools && !this.devtools) {
+            this._log('devtools option needs the devtools entry point to be loaded', 'warn');
+        }
+
+        this._pendingRequests = new Map();
+        this._listeners = new Map();
+        this._sdkListeners = new Map();
+        this._internalListeners = new Map();
+        this._streamListeners = new WeakSet();
+        this._lastOpenMessageId = null;
+        this._lastChangeMessageId = null;
+        this._lastSaveMessageId = null;
+        this._hostOrigin = null;
+        this.protocolVersion = null;
+        this._context = null;
+        this._contextListeners = [];
+        this._destroyed = false;
+        this._middleware = [];
+        this._streams = new Set();
+
+        this._handleMessage = this._handleMessage.bind(this);
+
+        if (options.transport) {
+            this.transport = options.transport;
+
+            try {
+                this._unsubscribeTransport = this.transport.subscribe(this._handleMessage);
+            } catch (error) {
+                this._unsubscribeTransport = () => {};
+                this._logSubscribeError(error);
+            }
+        } else {
+            const router = joinWindowRouter({
+                handler: this._handleMessage,
+                owns: correlationId => this._pendingRequests.has(correlationId)
+            });
 
-    if (!global) {
-        return;
+            this.transport = router.transport;
+            this._unsubscribeTransport = router.leave;
+
+            if (router.error) {
+                this._logSubscribeError(router.error);
+            }
+        }
+
+        registerInstance(this);
+
+        this.dialogs = new Dialogs(this);
+        this.popups = new Popups(this);
+        this.navigation = new Navigation(this);
+        this.updates = new UpdateQueue(this, {debounce: options.updateDebounce});
     }
 
-    class WidgetSDKInstance {
-        constructor(options = {}) {
-            this.debug = !!options.debug;
+    /**
+     * Creates the message inspector. DevtoolsPanel comes from the devtools entry point,
+     * so the main bundle does not include it. true and options without panel use the class
+     * registered by the loaded devtools entry point.
+     * @param {boolean|Function|Object} [devtools] true, DevtoolsPanel class or panel options.
+     * @returns {DevtoolsPanel|null} Panel or null.
+     */
+    _createDevtools(devtools) {
+        if (!devtools) {
+            return null;
+        }
+
+        const Panel = typeof devtools === 'function' ? devtools : (devtools.panel || getDevtoolsPanel());
 
-            this._requestIdCounter = 0;
-            this._pendingRequests = new Map();
-            this._listeners = new Map();
-            this._lastOpenMessageId = null;
-            this._lastChangeMessageId = null;
+        if (typeof Panel !== 'function') {
+            return null;
+        }
 
-            this._handleMessage = this._handleMessage.bind(this);
+        return new Panel(this, typeof devtools === 'object' ? devtools : undefined);
+    }
 
-            if (!global.addEventListener) {
-                console.error('[WidgetSDK] addEventListener is not available');
+    /**
+     * Writes a log entry to the console, the logger option and the log buffer.
+     * @param {string|Function} messageOrFn A string or a function that returns a string.
+     * @param {'log'|'debug'|'info'|'warn'|'error'} level Logging level, 'log' is 'debug'.
+     * @param {Object} [fields] Structured fields: direction, name, messageId, correlationId, latency, data.
+     * @returns {void}
+     */
+    _log(messageOrFn, level = 'log', fields = undefined) {
+        this._logger.log(level, messageOrFn, fields);
+    }
 
-                return;
-            }
+    /**
+     * Logs that the transport cannot deliver host messages, the SDK can still send messages.
+     * @param {Error} error Subscription error.
+     * @returns {void}
+     */
+    _logSubscribeError(error) {
+        this._log(`Host messages are not received: ${error.message}`, 'error');
+    }
 
-            global.addEventListener('message', this._handleMessage);
+    /**
+     * Returns entries from the log buffer.
+     * @returns {Object[]} Log entries, empty without the logBuffer option.
+     */
+    getLogs() {
+        return this.logBuffer ? this.logBuffer.entries() : [];
+    }
+
+
+    /**
+     * Normalizes the hostOrigins option into a list of origins.
+     * @param {string|string[]} [hostOrigins] Allowed host origin or list of origins.
+     * @returns {string[]|null} List of origins or null if the check is disabled.
+     */
+    _normalizeOrigins(hostOrigins) {
+        if (hostOrigins === undefined || hostOrigins === null) {
+            return null;
         }
 
-        /**
-         * Logs a messages to the console.
-         * @param {string|Function} messageOrFn A string or a function that returns a string.
-         * @param {'log'|'warn'} level Logging level.
-         * @returns {void}
-         */
-        _log(messageOrFn, level = 'log') {
-            if (!this.debug && level === 'log') {
-                return;
-            }
+        const origins = (Array.isArray(hostOrigins) ? hostOrigins : [hostOrigins])
+            .filter(origin => typeof origin === 'string' && origin)
+            .map(origin => origin.replace(/\/+$/, ''));
 
-            const prefix = '[WidgetSDK]';
-            const message = typeof messageOrFn === 'function' ? messageOrFn() : messageOrFn;
+        return origins.length ? origins : null;
+    }
 
-            if (level === 'warn') {
-                console.warn(prefix, message);
-            } else {
-                console.log(prefix, message);
-            }
+    /**
+     * Returns the host window of the transport.
+     * @returns {Window|null} Host window or null for transports without windows.
+     */
+    _getHostWindow() {
+        return this.transport.hostWindow || null;
+    }
+
+    /**
+     * Resolves the target origin for outgoing messages.
+     * Without hostOrigins or a host window the message is posted to any origin.
+     * @returns {string} Target origin.
+     * @throws {TransportError} If hostOrigins has several origins and none of them is known to be the host.
+     */
+    _getTargetOrigin() {
+        if (!this.hostOrigins || !this._getHostWindow()) {
+            return '*';
         }
 
+        if (this._hostOrigin) {
+            return this._hostOrigin;
+        }
 
-        /**
-         * Monotonic messageId generator for requests/responses.
-         * @returns {number} New messageId.
-         */
-        _nextMessageId() {
-            return ++this._requestIdCounter;
+        if (this.hostOrigins.length === 1) {
+            return this.hostOrigins[0];
         }
 
-        /**
-         * Handles incoming messages from hosts
-         * @param {MessageEvent} event postMessage event.
-         * @returns {void}
-         */
-        _handleMessage(event) {
-            const message = event.data;
+        const referrerOrigin = this._getReferrerOrigin();
 
-            if (!message || typeof message !== 'object') {
-                this._log(() => `Unknown event message: ${JSON.stringify(event)}`);
-                return;
-            }
+        if (referrerOrigin && this.hostOrigins.includes(referrerOrigin)) {
+            return referrerOrigin;
+        }
+
+        throw new TransportError('Host origin is not resolved', {code: 'HOST_ORIGIN_UNRESOLVED'});
+    }
+
+    /**
+     * Returns the origin of the document referrer.
+     * @returns {string|null} Referrer origin or null.
+     */
+    _getReferrerOrigin() {
+        try {
+            const referrer = global && global.document && global.document.referrer;
+
+            return referrer ? new URL(referrer).origin : null;
+        } catch (e) {
+            return null;
+        }
+    }
 
-            this._log(() => `Host -> ${JSON.stringify(message)}`);
+    /**
+     * Checks that a message came from the host window and an allowed origin.
+     * Transports without a host window (MessagePort, in-memory) are trusted as is.
+     * @param {MessageEvent} event postMessage event.
+     * @returns {boolean} True if the event is trusted.
+     */
+    _isTrustedEvent(event) {
+        if (!this.hostOrigins || !this._getHostWindow()) {
+            return true;
+        }
+
+        if (!this.hostOrigins.includes(event.origin)) {
+            this._log(`Message rejected: origin ${event.origin} is not allowed`, 'warn');
+
+            return false;
+        }
+
+        if (event.source !== this._getHostWindow()) {
+            this._log(`Message rejected: source is not the host window (origin ${event.origin})`, 'warn');
+
+            return false;
+        }
+
+        this._hostOrigin = event.origin;
+
+        return true;
+    }
+
+    /**
+     * Monotonic messageId generator for requests/responses, shared by all SDK instances of the page.
+     * @returns {number} New messageId.
+     */
+    _nextMessageId() {
+        return nextMessageId();
+    }
+
+    /**
+     * Handles incoming messages from hosts
+     * @param {MessageEvent} event postMessage event.
+     * @returns {void}
+     */
+    _handleMessage(event) {
+        if (!this._isTrustedEvent(event)) {
+            return;
+        }
+
+        const message = event.data;
 
-            const {correlationId, name} = message;
+        if (!message || typeof message !== 'object') {
+            this._log(() => `Unknown event message: ${JSON.stringify(event)}`);
+            return;
+        }
+
+        const pending = this._pendingRequests.get(message.correlationId);
+
+        this._log(() => `Host -> ${JSON.stringify(message)}`, 'log', {
+            direction: 'in',
+            name: message.name,
+            messageId: message.messageId,
+            correlationId: message.correlationId,
+            latency: pending ? Date.now() - pending.sentAt : undefined,
+            data: message
+        });
+
+        try {
+            this._runMiddleware('incoming', message, next => this._dispatchMessage(next));
+        } catch (error) {
+            this._log(`Incoming middleware error for ${message.name || 'unknown'}: ${error.message}`, 'warn');
+        }
+    }
 
-            if (this._pendingRequests.has(correlationId)) {
-                const pending = this._pendingRequests.get(correlationId);
+    /**
+     * Checks a message that passed incoming middleware, resolves pending requests and notifies listeners.
+     * Messages without listeners are emitted as unhandled.
+     * @param {Object} message Host message.
+     * @returns {void}
+     */
+    _dispatchMessage(message) {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
 
-                this._pendingRequests.delete(correlationId);
+        this._checkIncoming(message);
 
-                name === 'InvalidMessageError'
-                    ? pending.reject(this._toError(message))
-                    : pending.resolve(message);
+        const {correlationId, name} = message;
+
+        if (this._pendingRequests.has(correlationId)) {
+            const pending = this._pendingRequests.get(correlationId);
+
+            this._pendingRequests.delete(correlationId);
+
+            name === 'InvalidMessageError'
+                ? pending.reject(this._toError(message, pending.request))
+                : pending.resolve(message);
+
+            return;
+        }
+
+        if (name === 'Open') {
+            this._lastOpenMessageId = message.messageId;
+            this._setContext(message);
+        } else if (name === 'OpenPopup') {
+            this._setContext(message);
+        } else if (name === 'Change') {
+            this._lastChangeMessageId = message.messageId;
+        } else if (name === 'Save') {
+            this._lastSaveMessageId = message.messageId;
+            this._handleSave(message);
+
+            return;
+        }
+
+        this._emitInternal(name, message);
+
+        if (!name || !this._emit(name, message, true)) {
+            this._emitUnhandled(message);
+        }
+    }
+
+    /**
+     * Logs a host message that matched no listener and no pending request and emits it as unhandled.
+     * @param {Object} message Host message.
+     * @returns {void}
+     */
+    _emitUnhandled(message) {
+        this._log(`Unhandled message ${message.name || 'without name'}`);
+        this._emitSdkEvent('unhandled', message);
+    }
+
+    /**
+     * Runs Save listeners and waits for the promises returned by Save handlers: listeners subscribed
+     * to Save by name with on/onSave. Pattern listeners and once/events/observe are notified without waiting
+     * and do not count as handlers. A thrown error, a rejected promise or exceeding saveTimeout fails the save.
+     * Only instances with Save handlers report the outcome, instances that got the same Save share it
+     * and send one SaveFeedback, see joinSave. Without handlers the outcome is a success,
+     * without any listeners the Save is unhandled.
+     * @param {Object} message Save message.
+     * @returns {Promise<void>} Promise resolved after the outcome is reported.
+     */
+    _handleSave(message) {
+        const listeners = this._getListeners('Save', true);
+        const handlers = (this._listeners.get('Save') || []).filter(listener => !this._streamListeners.has(listener));
+        const complete = handlers.length ? joinSave(this, message) : null;
+        const results = [];
+
+        listeners.forEach(listener => {
+            if (!handlers.includes(listener)) {
+                this._callListeners('Save', [listener], message);
 
                 return;
             }
 
-            if (name === 'Open') {
-                this._lastOpenMessageId = message.messageId;
-            } else if (name === 'Change') {
-                this._lastChangeMessageId = message.messageId;
+            try {
+                results.push(listener(message));
+            } catch (error) {
+                results.push(Promise.reject(error));
             }
+        });
 
-            if (name && this._listeners.has(name)) {
-                const listeners = this._listeners.get(name);
+        if (!complete) {
+            if (!listeners.length) {
+                this._emitUnhandled(message);
+            }
+
+            this._emitInternal('saveOutcome', {name: 'saveOutcome', messageId: message.messageId, success: true});
+
+            return Promise.resolve();
+        }
 
-                listeners.forEach(listener => {
-                    try {
-                        listener(message);
-                    } catch (error) {
-                        this._log(`Listener error for ${name}: ${error.message}`, 'warn');
+        let timerId = null;
+        const timeout = new Promise((resolve, reject) => {
+            if (this.saveTimeout > 0) {
+                timerId = setTimeout(() => reject(new TimeoutError(`Save handlers timed out after ${this.saveTimeout} ms`, {
+                    requestName: 'Save',
+                    messageId: message.messageId
+                })), this.saveTimeout);
+            }
+        });
+
+        return Promise.race([Promise.all(results), timeout])
+            .then(
+                () => null,
+                error => (error && error.message ? error.message : String(error))
+            )
+            .then(errorText => {
+                clearTimeout(timerId);
+
+                if (errorText !== null && !this._destroyed) {
+                    this._log(`Save handler error: ${errorText}`, 'warn');
+                }
+
+                complete(errorText);
+            })
+            .catch(error => this._log(`SaveFeedback error: ${error && error.message}`, 'warn'));
+    }
+
+    /**
+     * Returns listeners of a host message: listeners of the name, then listeners of matching patterns.
+     * A pattern ends with *: '*' matches any name, 'Open*' matches Open and OpenPopup.
+     * Only string names match patterns.
+     * @param {string} name Message name.
+     * @param {boolean} [withPatterns] Add pattern listeners, only host messages match patterns.
+     * @returns {Function[]} Listeners, each listener once.
+     */
+    _getListeners(name, withPatterns = false) {
+        const listeners = (this._listeners.get(name) || []).slice();
+
+        if (withPatterns && typeof name === 'string') {
+            this._listeners.forEach((patternListeners, pattern) => {
+                if (pattern === name || !pattern.endsWith('*') || !name.startsWith(pattern.slice(0, -1))) {
+                    return;
+                }
+
+                patternListeners.forEach(listener => {
+                    if (!listeners.includes(listener)) {
+                        listeners.push(listener);
                     }
                 });
-            }
+            });
         }
 
-        /**
-         * Converts a host error into an Error object.
-         * @param {Object} message Error message from the host.
-         * @returns {Error} Normalized error.
-         */
-        _toError(message) {
-            const errText = message && message.errors && message.errors[0] && message.errors[0].error
-                ? message.errors[0].error
-                : 'Unknown error';
-            const err = new Error(errText);
+        return listeners;
+    }
 
-            err.name = message && message.name ? message.name : 'InvalidMessageError';
-            err.details = message && message.errors ? message.errors : null;
-            err.rawMessage = message || null;
+    /**
+     * Calls listeners, an error of one listener is logged and does not stop the others.
+     * @param {string} name Event name.
+     * @param {Function[]} listeners Listeners.
+     * @param {Object} payload Host message or SDK event.
+     * @returns {number} Number of called listeners.
+     */
+    _callListeners(name, listeners, payload) {
+        listeners.forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                this._log(`Listener error for ${name}: ${error.message}`, 'warn');
+            }
+        });
 
-            return err;
-        }
+        return listeners.length;
+    }
 
-        /**
-         * Subscribe to a host event.
-         * @param {string} eventName Event name.
-         * @param {Function} callback Event handler.
-         * @returns {Function} Unsubscribe function.
-         */
-        on(eventName, callback) {
-            const listeners = this._listeners.get(eventName) || [];
+    /**
+     * Calls listeners of a host message.
+     * @param {string} name Message name.
+     * @param {Object} payload Host message.
+     * @param {boolean} [withPatterns] Call pattern listeners too.
+     * @returns {number} Number of called listeners.
+     */
+    _emit(name, payload, withPatterns = false) {
+        return this._callListeners(name, this._getListeners(name, withPatterns), payload);
+    }
 
-            if (!listeners.includes(callback)) {
-                listeners.push(callback);
+    /**
+     * Calls listeners of an SDK event: unhandled or protocolMismatch.
+     * @param {string} name Event name.
+     * @param {Object} event SDK event.
+     * @returns {void}
+     */
+    _emitSdkEvent(name, event) {
+        this._callListeners(name, (this._sdkListeners.get(name) || []).slice(), event);
+    }
 
-                this._listeners.set(eventName, listeners);
-            }
+    /**
+     * Returns the listener map of an event name: SDK events and host messages are kept apart.
+     * @param {string} eventName Event name.
+     * @returns {Map<string, Function[]>} Listeners by name.
+     */
+    _listenerMap(eventName) {
+        return SDK_EVENTS.includes(eventName) ? this._sdkListeners : this._listeners;
+    }
 
-            return () => this.off(eventName, callback);
-        }
-
-        /**
-         * Subscribe to the Open event.
-         * @param {Function} callback Handler.
-         * @returns {Function} Unsubscribe function.
-         */
-        onOpen(callback) {
-            return this.on('Open', callback);
-        }
-
-        /**
-         * Subscribe to the OpenPopup event.
-         * @param {Function} callback Handler.
-         * @returns {Function} Unsubscribe function.
-         */
-        onOpenPopup(callback) {
-            return this.on('OpenPopup', callback);
-        }
-
-        /**
-         * Subscribe to the Save event.
-         * @param {Function} callback Handler.
-         * @returns {Function} Unsubscribe function.
-         */
-        onSave(callback) {
-            return this.on('Save', callback);
-        }
-
-        /**
-         * Subscribe to the Change event.
-         * @param {Function} callback Handler.
-         * @returns {Function} Unsubscribe function.
-         */
-        onChange(callback) {
-            return this.on('Change', callback);
-        }
-
-        /**
-         * Unsubscribe from an event.
-         * @param {string} eventName Event name.
-         * @param {Function} callback Handler.
-         * @returns {void}
-         */
-        off(eventName, callback) {
-            const listeners = this._listeners.get(eventName) || [];
+    /**
+     * Subscribes a listener of once/events/observe. It is called like any listener of the name,
+     * but Save waits only for its handlers, not for stream listeners.
+     * @param {string} name Event name.
+     * @param {Function} callback Event handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    _onStream(name, callback) {
+        this._streamListeners.add(callback);
+
+        return this.on(name, callback);
+    }
+
+    /**
+     * Subscribes an SDK helper to an event. Internal listeners are not visible to on/off and patterns
+     * and do not count as handling a host message.
+     * @param {string} name Event name.
+     * @param {Function} callback Event handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    _onInternal(name, callback) {
+        const listeners = this._internalListeners.get(name) || [];
+
+        listeners.push(callback);
+        this._internalListeners.set(name, listeners);
+
+        return () => {
             const index = listeners.indexOf(callback);
 
             if (index > -1) {
                 listeners.splice(index, 1);
             }
+        };
+    }
+
+    /**
+     * Calls internal listeners of an event.
+     * @param {string} name Event name.
+     * @param {Object} payload Host message or SDK event.
+     * @returns {void}
+     */
+    _emitInternal(name, payload) {
+        this._callListeners(name, (this._internalListeners.get(name) || []).slice(), payload);
+    }
+
+    /**
+     * Checks a host message against the protocol schemas and detects the protocol version on Open/OpenPopup.
+     * Mismatches are emitted as protocolMismatch and logged if validate is on, the message is delivered anyway.
+     * Responses to requests without a schema (custom requests) are not checked.
+     * @param {Object} message Host message.
+     * @returns {void}
+     */
+    _checkIncoming(message) {
+        const {name} = message;
+        let violations;
+
+        if (Object.prototype.hasOwnProperty.call(INCOMING_SCHEMAS, name)) {
+            violations = validateMessage(message, INCOMING_SCHEMAS, {unknownFields: true});
+        } else if (this._pendingRequests.has(message.correlationId)) {
+            return;
+        } else {
+            violations = [{field: 'name', error: `Unknown event ${name === undefined ? 'without name' : name}`}];
         }
 
-        /**
-         * Sends a request to host and waits for a response.
-         * @param {Object} message Request message.
-         * @returns {Promise<Object>} Promise with response.
-         */
-        sendRequest(message = {}) {
-            message.messageId ??= this._nextMessageId();
-            this._log(() => `SDK -> ${JSON.stringify(message)}`);
+        if (name === 'Open' || name === 'OpenPopup') {
+            this.protocolVersion = typeof message.protocolVersion === 'string'
+                ? message.protocolVersion
+                : 'unknown';
 
-            return new Promise((resolve, reject) => {
-                this._pendingRequests.set(message.messageId, {resolve, reject});
+            if (this.protocolVersion !== 'unknown' && this.protocolVersion !== PROTOCOL_VERSION) {
+                violations.push({
+                    field: 'protocolVersion',
+                    error: `protocolVersion ${this.protocolVersion} is not supported, expected ${PROTOCOL_VERSION}`
+                });
+            }
+        }
 
-                try {
-                    const target = typeof parent !== 'undefined' ? parent : global;
+        if (!violations.length) {
+            return;
+        }
+
+        if (this.validate) {
+            const text = violations.map(entry => entry.error).join('; ');
+
+            this._log(`Protocol mismatch in ${name || 'unknown'}: ${text}`, 'warn');
+        }
 
-                    target.postMessage(message, '*');
-                } catch (error) {
-                    this._log(`postMessage error for ${message.name || 'unknown'}: ${error.message}`, 'warn');
-                    this._pendingRequests.delete(message.messageId);
+        this._emitSdkEvent('protocolMismatch', {
+            name: 'protocolMismatch',
+            messageName: name ?? null,
+            protocolVersion: this.protocolVersion,
+            violations,
+            rawMessage: message
+        });
+    }
 
-                    reject(error);
+    /**
+     * Adds middleware for outgoing and incoming messages.
+     * Each handler receives the message and next(message). Pass a changed message to next to transform it,
+     * do not call next to drop the message. next must be called synchronously, a later call is ignored.
+     * @param {Object} middleware Middleware.
+     * @param {Function} [middleware.outgoing] Handler for messages sent to the host.
+     * @param {Function} [middleware.incoming] Handler for messages received from the host.
+     * @returns {Function} Function that removes the middleware.
+     */
+    use(middleware) {
+        if (!middleware || (typeof middleware.outgoing !== 'function' && typeof middleware.incoming !== 'function')) {
+            throw new TypeError('Middleware must have an outgoing or incoming function');
+        }
+
+        this._middleware.push(middleware);
+
+        return () => {
+            const index = this._middleware.indexOf(middleware);
+
+            if (index > -1) {
+                this._middleware.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Passes a message through the middleware chain in the order of registration.
+     * next must be called synchronously: the message is dropped if the chain returns without it,
+     * a later call is ignored with a warning.
+     * @param {'outgoing'|'incoming'} direction Message direction.
+     * @param {Object} message Message.
+     * @param {Function} final Called with the resulting message if no middleware dropped it.
+     * @returns {boolean} True if the message reached the final handler.
+     */
+    _runMiddleware(direction, message, final) {
+        const chain = this._middleware.map(middleware => middleware[direction]).filter(Boolean);
+        let delivered = false;
+        let finished = false;
+
+        const dispatch = (index, current) => {
+            if (index === chain.length) {
+                delivered = true;
+                final(current);
+
+                return;
+            }
+
+            let called = false;
+
+            chain[index](current, next => {
+                if (called) {
+                    return;
+                }
+
+                called = true;
+
+                if (finished) {
+                    this._log(`${direction} middleware called next asynchronously, `
+                        + `${message.name || 'unknown'} was already dropped`, 'warn');
+
+                    return;
                 }
+
+                dispatch(index + 1, next === undefined ? current : next);
             });
+        };
+
+        try {
+            dispatch(0, message);
+        } finally {
+            finished = true;
         }
 
-        /**
-         * Sends a message to host without waiting for a response.
-         * @param {Object} message Message.
-         * @returns {Object} sent message
-         */
-        sendMessage(message = {}) {
-            message.messageId ??= this._nextMessageId();
-            this._log(() => `SDK -> ${JSON.stringify(message)}`);
+        return delivered;
+    }
 
-            try {
-                const target = typeof parent !== 'undefined' ? parent : global;
+    /**
+     * Passes a message through outgoing middleware and sends it with the transport.
+     * @param {Object} message Message.
+     * @returns {boolean} False if middleware dropped the message.
+     */
+    _send(message) {
+        return this._runMiddleware('outgoing', message, next => {
+            this.transport.send(next, {targetOrigin: this._getTargetOrigin()});
+        });
+    }
+
+    /**
+     * Replaces the current context and notifies context listeners.
+     * @param {Object} message Open or OpenPopup message.
+     * @returns {void}
+     */
+    _setContext(message) {
+        const previous = this._context;
 
-                target.postMessage(message, '*');
+        this._context = new WidgetContext(message);
+
+        this._contextListeners.slice().forEach(listener => {
+            try {
+                listener(this._context, previous);
             } catch (error) {
-                this._log(`postMessage error for ${message.name || 'unknown'}: ${error.message}`, 'warn');
+                this._log(`Context listener error: ${error.message}`, 'warn');
             }
-            return message;
-        }
-
-        /**
-         * Opens the product group selector.
-         * @returns {Promise<Object>} Promise with response.
-         */
-        selectGoodFolder() {
-            return this.sendRequest({name: 'SelectGoodFolderRequest'});
-        }
-
-        /**
-         * Opens a standard dialog.
-         * @param {string} text Message to display in the dialog.
-         * @param {Array} buttons Dialog buttons.
-         * @returns {Promise<Object>} Promise with response.
-         */
-        showDialog(text, buttons = [{name: 'Ok', caption: 'ОК'}]) {
-            return this.sendRequest({
-                name: 'ShowDialogRequest',
-                dialogText: text,
-                buttons
-            });
+        });
+    }
+
+    /**
+     * Returns the context from the last Open or OpenPopup message.
+     * @returns {WidgetContext|null} Current context or null before the first Open.
+     */
+    getContext() {
+        return this._context;
+    }
+
+    /**
+     * Subscribe to context changes. Called on every Open and OpenPopup before event listeners.
+     * @param {Function} callback Handler, receives the new and the previous context.
+     * @returns {Function} Unsubscribe function.
+     */
+    onContextChange(callback) {
+        if (!this._contextListeners.includes(callback)) {
+            this._contextListeners.push(callback);
         }
 
-        /**
-         * Navigate in the host UI.
-         * @param {string} path Path/hash for navigation.
-         * @param {string} target Navigation target: blank | self.
-         * @returns {Promise<Object>} Promise with response.
-         */
-        navigateTo(path, target = 'blank') {
-            return this.sendRequest({
-                name: 'NavigateRequest',
-                path,
-                target
-            });
+        return () => {
+            const index = this._contextListeners.indexOf(callback);
+
+            if (index > -1) {
+                this._contextListeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Converts a host error into an Error object.
+     * @param {Object} message Error message from the host.
+     * @param {Object} [request] Request message the host responded to.
+     * @returns {HostInvalidMessageError} Normalized error.
+     */
+    _toError(message, request = {}) {
+        const errors = message && Array.isArray(message.errors) ? message.errors : null;
+        const errText = errors && errors.length
+            ? errors.map(entry => entry && entry.error).filter(Boolean).join('; ')
+            : '';
+
+        return new HostInvalidMessageError(errText || (message && message.message) || 'Unknown error', {
+            requestName: request.name,
+            messageId: request.messageId,
+            errors,
+            rawMessage: message || null
+        });
+    }
+
+    /**
+     * Subscribe to a host event or an SDK event (unhandled, protocolMismatch). Patterns match only host messages.
+     * @param {string} eventName Event name or a pattern ending with *: '*' for all host messages, 'Open*' for a prefix.
+     * @param {Function} callback Event handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    on(eventName, callback) {
+        const map = this._listenerMap(eventName);
+        const listeners = map.get(eventName) || [];
+
+        if (!listeners.includes(callback)) {
+            listeners.push(callback);
+
+            map.set(eventName, listeners);
         }
 
-        /**
-         * Requests update of document data.
-         * @param {Object} updateState State to update.
-         * @returns {Promise<Object>} Promise with response.
-         */
-        update(updateState) {
-            return this.sendRequest({
-                name: 'UpdateRequest',
-                updateState
-            });
+        return () => this.off(eventName, callback);
+    }
+
+    /**
+     * Subscribe to the Open event.
+     * @param {Function} callback Handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    onOpen(callback) {
+        return this.on('Open', callback);
+    }
+
+    /**
+     * Subscribe to the OpenPopup event.
+     * @param {Function} callback Handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    onOpenPopup(callback) {
+        return this.on('OpenPopup', callback);
+    }
+
+    /**
+     * Subscribe to the Save event.
+     * @param {Function} callback Handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    onSave(callback) {
+        return this.on('Save', callback);
+    }
+
+    /**
+     * Subscribe to the Change event.
+     * @param {Function} callback Handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    onChange(callback) {
+        return this.on('Change', callback);
+    }
+
+    /**
+     * Subscribe to host messages that matched no listener and no pending request:
+     * unknown events, responses to forgotten requests and messages without a name.
+     * @param {Function} callback Handler, gets the host message.
+     * @returns {Function} Unsubscribe function.
+     */
+    onUnhandled(callback) {
+        return this.on('unhandled', callback);
+    }
+
+    /**
+     * Waits for the next event.
+     * @param {string} eventName Event name.
+     * @param {Object} [options] Wait options.
+     * @param {Function} [options.filter] Predicate, events it rejects are skipped.
+     * @param {number} [options.timeout] Timeout in ms, rejects with TimeoutError. Without it waits until destroy.
+     * @param {AbortSignal} [options.signal] Signal to stop waiting, rejects with RequestAbortedError.
+     * @returns {Promise<Object>} Promise with the event, rejected with SDKDestroyedError on destroy.
+     */
+    once(eventName, options = {}) {
+        return waitForEvent(this, eventName, options);
+    }
+
+    /**
+     * Returns an async iterator of events, for for await...of.
+     * @param {string} eventName Event name.
+     * @param {Object} [options] Iterator options: bufferSize, signal.
+     * @returns {EventIterator} Iterator, events are buffered from this call. Ends on break, abort and destroy.
+     */
+    events(eventName, options = {}) {
+        return new EventIterator(this, eventName, options);
+    }
+
+    /**
+     * Returns an Observable-compatible stream of events.
+     * @param {string} eventName Event name.
+     * @returns {EventObservable} Observable, its subscriptions complete on destroy.
+     */
+    observe(eventName) {
+        return new EventObservable(this, eventName);
+    }
+
+    /**
+     * Unsubscribe from an event.
+     * @param {string} eventName Event name.
+     * @param {Function} callback Handler.
+     * @returns {void}
+     */
+    off(eventName, callback) {
+        const listeners = this._listenerMap(eventName).get(eventName) || [];
+        const index = listeners.indexOf(callback);
+
+        if (index > -1) {
+            listeners.splice(index, 1);
         }
+    }
 
-        /**
-         * Sends OpenFeedback message.
-         * @param {number} [openMessageId] - ID of the corresponding Open message.
-         *                                If not provided, the ID from the last Open message will be used.
-         * @returns {Object|null} Sent message or null on error.
-         */
-        openFeedback(openMessageId) {
-            const resolvedId = this._getOpenMessageId(openMessageId);
+    /**
+     * Rejects a pending request and removes it. An abort is a normal caller action and is logged at debug level,
+     * other rejections are logged as warnings.
+     * @param {number} messageId ID of the request message.
+     * @param {Error} error Rejection reason.
+     * @returns {void}
+     */
+    _rejectPending(messageId, error) {
+        const pending = this._pendingRequests.get(messageId);
 
-            if (resolvedId === null) {
-                this._log('OpenFeedback not sent: openMessageId is missing', 'warn');
+        if (!pending) {
+            return;
+        }
 
-                return null;
-            }
+        this._pendingRequests.delete(messageId);
+        this._log(
+            `Request ${error.requestName || 'unknown'} rejected: ${error.message}`,
+            error instanceof RequestAbortedError ? 'log' : 'warn'
+        );
 
-            const message = {
-                name: 'OpenFeedback',
-                correlationId: resolvedId
-            };
+        pending.reject(error);
+    }
 
-            return this.sendMessage(message);
+    /**
+     * Checks an outgoing message against the protocol schema.
+     * @param {Object} message Outgoing message.
+     * @returns {MessageValidationError|null} Error naming the invalid fields or null for a valid message.
+     */
+    _validateOutgoing(message) {
+        const errors = validateMessage(message);
+
+        if (!errors.length) {
+            return null;
         }
 
-        /**
-         * Sets dirty state.
-         * @param {number} [openMessageId] - ID of the corresponding Open message.
-         *                                If not provided, the ID from the last Open message will be used.
-         * @returns {Object|null} Sent message or null on error.
-         */
-        setDirty(openMessageId) {
-            const resolvedId = this._getOpenMessageId(openMessageId);
+        const text = errors.map(entry => entry.error).join('; ');
+        const error = new MessageValidationError(`Invalid ${message.name}: ${text}`, {
+            requestName: message.name,
+            messageId: message.messageId,
+            errors
+        });
 
-            if (resolvedId === null) {
-                this._log('SetDirty not sent: openMessageId is missing', 'warn');
+        this._log(error.message, 'error');
 
-                return null;
-            }
+        return error;
+    }
 
-            const message = {
-                name: 'SetDirty',
-                openMessageId: resolvedId
-            };
+    /**
+     * Sends a request to host and waits for a response.
+     * @param {Object} message Request message.
+     * @param {Object} [options] Request options.
+     * @param {number} [options.timeout] Timeout in ms, overrides the requestTimeout option. 0 disables it.
+     * @param {AbortSignal} [options.signal] Signal to cancel the request.
+     * @param {number|Object|boolean} [options.retry] Retry policy for this call, false disables retries.
+     * @returns {Promise<Object>} Promise with response, rejected with MessageValidationError for an invalid request
+     *                            when validation is enabled.
+     */
+    sendRequest(message = {}, options = {}) {
+        if (VALIDATION_ENABLED && this.validate) {
+            const error = this._validateOutgoing(message);
 
-            return this.sendMessage(message);
+            if (error) {
+                return Promise.reject(error);
+            }
         }
 
-        /**
-         * Clears dirty state.
-         * @returns {Object} Sent message.
-         */
-        clearDirty() {
-            const message = {
-                name: 'ClearDirty'
-            };
+        const policy = this._getRetryPolicy(message, options);
+
+        return policy ? this._sendWithRetry(message, options, policy) : this._sendRequestOnce(message, options);
+    }
 
-            return this.sendMessage(message);
+    /**
+     * Returns the retry policy for a request.
+     * The retry option applies to the requests from its list, options.retry applies to any request.
+     * @param {Object} message Request message.
+     * @param {Object} options Request options.
+     * @returns {Object|null} Retry policy or null if retries are disabled.
+     */
+    _getRetryPolicy(message, options) {
+        let policy = null;
+
+        if (options.retry === false) {
+            return null;
         }
 
-        /**
-         * Sends a validation feedback message.
-         * @param {boolean} valid Validity flag.
-         * @param {string} [messageText] Error message text.
-         * @param {number} [changeMessageId] - ID of the corresponding Change message.
-         *                                  If not provided, the ID from the last Change message will be used.
-         * @returns {Object|null} Sent message or null on error.
-         */
-        validationFeedback(valid, messageText = undefined, changeMessageId = undefined) {
-            const resolvedId = this._getChangeMessageId(changeMessageId);
+        if (options.retry !== undefined && options.retry !== true) {
+            policy = normalizeRetryPolicy(options.retry, this.retry || {});
+        } else if (this.retry && (options.retry === true || this.retry.requests.includes(message.name))) {
+            policy = this.retry;
+        }
 
-            if (resolvedId === null) {
-                this._log('ValidationFeedback not sent: changeMessageId is missing', 'warn');
-                return null;
+        return policy && policy.retries > 0 ? policy : null;
+    }
+
+    /**
+     * Sends a request and retries it with backoff while the policy allows.
+     * Every attempt gets a new messageId.
+     * @param {Object} message Request message.
+     * @param {Object} options Request options.
+     * @param {Object} policy Retry policy.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    async _sendWithRetry(message, options, policy) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this._sendRequestOnce(message, options);
+            } catch (error) {
+                if (attempt > policy.retries || !policy.shouldRetry(error, attempt, message)) {
+                    throw error;
+                }
+
+                const delay = getRetryDelay(policy, attempt);
+
+                this._log(`Retrying ${message.name || 'unknown'} in ${delay} ms: ${error.message}`, 'warn');
+
+                await this._waitForRetry(delay, message, options.signal);
+
+                if (this._destroyed) {
+                    throw new SDKDestroyedError(undefined, {
+                        requestName: message.name,
+                        messageId: message.messageId
+                    });
+                }
+
+                message.messageId = this._nextMessageId();
             }
+        }
+    }
 
-            const message = {
-                name: 'ValidationFeedback',
-                correlationId: resolvedId,
-                valid: valid === undefined ? false : !!valid
+    /**
+     * Waits before the next attempt, rejects if the signal is aborted.
+     * @param {number} delay Delay in ms.
+     * @param {Object} message Request message.
+     * @param {AbortSignal} [signal] Signal to cancel the request.
+     * @returns {Promise<void>}
+     */
+    _waitForRetry(delay, message, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timerId);
+                reject(new RequestAbortedError(undefined, {
+                    requestName: message.name,
+                    messageId: message.messageId
+                }));
             };
+            const timerId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                resolve();
+            }, delay);
 
-            if (messageText !== undefined) {
-                message.message = messageText;
-            } else {
-                message.message = 'Invalid data';
+            if (signal) {
+                signal.addEventListener('abort', onAbort, {once: true});
             }
+        });
+    }
+
+    /**
+     * Sends a request once and waits for a response.
+     * @param {Object} message Request message.
+     * @param {Object} options Request options, see sendRequest.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    _sendRequestOnce(message, options) {
+        const {signal} = options;
+        const timeout = options.timeout !== undefined ? options.timeout : this.requestTimeout;
+
+        message.messageId ??= this._nextMessageId();
 
-            return this.sendMessage(message);
+        if (signal && signal.aborted) {
+            return Promise.reject(new RequestAbortedError(undefined, {
+                requestName: message.name,
+                messageId: message.messageId
+            }));
         }
 
-        /**
-         * Opens a custom popup.
-         * @param {string} popupName Popup name.
-         * @param {Object} popupParameters Popup parameters.
-         * @returns {Promise<Object>} Promise with response.
-         */
-        showPopup(popupName, popupParameters) {
-            const message = {
-                name: 'ShowPopupRequest',
-                popupName
+        this._log(() => `SDK -> ${JSON.stringify(message)}`, 'log', {
+            direction: 'out',
+            name: message.name,
+            messageId: message.messageId,
+            data: message
+        });
+
+        return new Promise((resolve, reject) => {
+            let timerId = null;
+            let onAbort = null;
+
+            const settle = fn => value => {
+                clearTimeout(timerId);
+
+                if (onAbort) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                fn(value);
             };
 
-            if (popupParameters !== undefined) {
-                message.popupParameters = popupParameters;
+            this._pendingRequests.set(message.messageId, {
+                request: message,
+                sentAt: Date.now(),
+                resolve: settle(resolve),
+                reject: settle(reject)
+            });
+
+            if (timeout > 0) {
+                timerId = setTimeout(() => {
+                    this._rejectPending(
+                        message.messageId,
+                        new TimeoutError(`Request timed out after ${timeout} ms`, {
+                            requestName: message.name,
+                            messageId: message.messageId
+                        })
+                    );
+                }, timeout);
             }
 
-            return this.sendRequest(message);
-        }
+            if (signal) {
+                onAbort = () => {
+                    this._rejectPending(
+                        message.messageId,
+                        new RequestAbortedError(undefined, {
+                            requestName: message.name,
+                            messageId: message.messageId
+                        })
+                    );
+                };
+
+                signal.addEventListener('abort', onAbort);
+            }
 
-        /**
-         * Closes a custom popup.
-         * @param {Object} popupResponse Popup response.
-         * @returns {Object} Sent message.
-         */
-        closePopup(popupResponse) {
-            const message = {
-                name: 'ClosePopup'
-            };
+            try {
+                if (!this._send(message)) {
+                    this._rejectPending(message.messageId, new WidgetSDKError('Request dropped by middleware', {
+                        code: 'MESSAGE_DROPPED',
+                        requestName: message.name,
+                        messageId: message.messageId
+                    }));
+                }
+            } catch (error) {
+                this._log(`postMessage error for ${message.name || 'unknown'}: ${error.message}`, 'warn');
+
+                const pending = this._pendingRequests.get(message.messageId);
 
-            if (popupResponse !== undefined) {
-                message.popupResponse = popupResponse;
+                this._pendingRequests.delete(message.messageId);
+
+                pending.reject(new TransportError(error.message, {
+                    code: error instanceof TransportError ? error.code : 'TRANSPORT_ERROR',
+                    requestName: message.name,
+                    messageId: message.messageId,
+                    cause: error
+                }));
             }
+        });
+    }
+
+    /**
+     * Sends a message to host without waiting for a response.
+     * @param {Object} message Message.
+     * @returns {Object|null} sent message or null if middleware dropped it or the transport failed to send it
+     * @throws {MessageValidationError} If validation is enabled and the message does not match the schema.
+     */
+    sendMessage(message = {}) {
+        if (VALIDATION_ENABLED && this.validate) {
+            const error = this._validateOutgoing(message);
 
-            return this.sendMessage(message);
+            if (error) {
+                throw error;
+            }
         }
 
-        /**
-         * Returns the openMessageId or messageId from the last Open message.
-         * @param {number} openMessageId ID of the Open message.
-         * @returns {number|null} Open message ID or null.
-         */
-        _getOpenMessageId(openMessageId) {
-            if (openMessageId !== undefined && openMessageId !== null) {
-                return openMessageId;
+        message.messageId ??= this._nextMessageId();
+        this._log(() => `SDK -> ${JSON.stringify(message)}`, 'log', {
+            direction: 'out',
+            name: message.name,
+            messageId: message.messageId,
+            data: message
+        });
+
+        try {
+            if (!this._send(message)) {
+                this._log(`${message.name || 'unknown'} dropped by middleware`);
+
+                return null;
             }
+        } catch (error) {
+            this._log(`postMessage error for ${message.name || 'unknown'}: ${error.message}`, 'warn');
 
-            return this._lastOpenMessageId || null;
+            return null;
         }
 
-        /**
-         * Returns changeMessageId or messageId from the last Change message.
-         * @param {number} changeMessageId ID of the Change message.
-         * @returns {number|null} Change message ID or null.
-         */
-        _getChangeMessageId(changeMessageId) {
-            if (changeMessageId !== undefined && changeMessageId !== null) {
-                return changeMessageId;
-            }
+        return message;
+    }
+
+    /**
+     * Opens the product group selector.
+     * @param {Object} [options] Request options, see sendRequest.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    selectGoodFolder(options = {}) {
+        return this.sendRequest({name: 'SelectGoodFolderRequest'}, options);
+    }
+
+    /**
+     * Opens a standard dialog.
+     * @param {string} text Message to display in the dialog.
+     * @param {Array} buttons Dialog buttons.
+     * @param {Object} [options] Request options, see sendRequest.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    showDialog(text, buttons = [{name: 'Ok', caption: 'ОК'}], options = {}) {
+        return this.sendRequest({
+            name: 'ShowDialogRequest',
+            dialogText: text,
+            buttons
+        }, options);
+    }
+
+    /**
+     * Navigate in the host UI.
+     * @param {string} path Path/hash for navigation.
+     * @param {string} target Navigation target: blank | self.
+     * @param {Object} [options] Request options, see sendRequest.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    navigateTo(path, target = 'blank', options = {}) {
+        return this.sendRequest({
+            name: 'NavigateRequest',
+            path,
+            target
+        }, options);
+    }
+
+    /**
+     * Requests update of document data.
+     * @param {Object} updateState State to update.
+     * @param {Object} [options] Request options, see sendRequest.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    update(updateState, options = {}) {
+        return this.sendRequest({
+            name: 'UpdateRequest',
+            updateState
+        }, options);
+    }
 
-            return this._lastChangeMessageId || null;
+    /**
+     * Applies a local change immediately and requests the same update of document data.
+     * If the request fails (InvalidMessageError, timeout, transport error), revert is called before the rejection.
+     * @param {Object} updateState State to update.
+     * @param {Object} handlers Local state handlers and request options (timeout, signal), see sendRequest.
+     * @param {Function} [handlers.apply] Applies the change locally, its result is passed to revert.
+     * @param {Function} [handlers.revert] Called with the error and the result of apply to restore the local state.
+     * @returns {Promise<Object>} Promise with response, rejected with the error of update.
+     */
+    updateOptimistic(updateState, handlers = {}) {
+        const {apply, revert, ...options} = handlers;
+        let applied;
+
+        try {
+            applied = apply ? apply(updateState) : undefined;
+        } catch (error) {
+            return Promise.reject(error);
         }
 
-        /**
-         * Cleans up resources, unsubscribes listeners, and rejects active requests.
-         * @returns {void}
-         */
-        destroy() {
-            this._listeners.clear();
-            this._pendingRequests.forEach(pending => {
+        return this.update(updateState, options).catch(error => {
+            if (revert) {
                 try {
-                    const err = new Error('SDK destroyed');
+                    revert(error, applied);
+                } catch (revertError) {
+                    this._log(`Optimistic update revert error: ${revertError.message}`, 'warn');
+                }
+            }
 
-                    err.name = 'SDKDestroyed';
+            throw error;
+        });
+    }
 
-                    pending.reject(err);
-                } catch (e) {
-                    // no-op
-                }
-            });
+    /**
+     * Sends OpenFeedback message.
+     * @param {number} [openMessageId] - ID of the corresponding Open message.
+     *                                If not provided, the ID from the last Open message will be used.
+     * @returns {Object|null} Sent message or null on error.
+     */
+    openFeedback(openMessageId) {
+        const resolvedId = this._getOpenMessageId(openMessageId);
 
-            this._pendingRequests.clear();
+        if (resolvedId === null) {
+            this._log('OpenFeedback not sent: openMessageId is missing', 'warn');
 
-            if (global.removeEventListener) {
-                global.removeEventListener('message', this._handleMessage);
-            }
+            return null;
+        }
+
+        const message = {
+            name: 'OpenFeedback',
+            correlationId: resolvedId
+        };
+
+        return this.sendMessage(message);
+    }
+
+    /**
+     * Sets dirty state.
+     * @param {number} [openMessageId] - ID of the corresponding Open message.
+     *                                If not provided, the ID from the last Open message will be used.
+     * @returns {Object|null} Sent message or null on error.
+     */
+    setDirty(openMessageId) {
+        const resolvedId = this._getOpenMessageId(openMessageId);
+
+        if (resolvedId === null) {
+            this._log('SetDirty not sent: openMessageId is missing', 'warn');
 
-            this._log('SDK destroyed');
+            return null;
         }
+
+        const message = {
+            name: 'SetDirty',
+            openMessageId: resolvedId
+        };
+
+        return this.sendMessage(message);
+    }
+
+    /**
+     * Clears dirty state.
+     * @returns {Object|null} Sent message or null if it was not sent.
+     */
+    clearDirty() {
+        const message = {
+            name: 'ClearDirty'
+        };
+
+        return this.sendMessage(message);
     }
 
     /**
-     * Public SDK API.
+     * Sends a validation feedback message.
+     * @param {boolean} valid Validity flag.
+     * @param {string} [messageText] Error message text.
+     * @param {number} [changeMessageId] - ID of the corresponding Change message.
+     *                                  If not provided, the ID from the last Change message will be used.
+     * @returns {Object|null} Sent message or null on error.
      */
-    const WidgetSDK = {
-        /**
-         * Creates an SDK instance.
-         * @param {Object} options Initialization options.
-         * @returns {WidgetSDKInstance} SDK instance.
-         */
-        create(options) {
-            return new WidgetSDKInstance(options);
-        },
-        /**
-         * Class for advanced usage.
-         */
-        WidgetSDKInstance
-    };
+    validationFeedback(valid, messageText = undefined, changeMessageId = undefined) {
+        const resolvedId = this._getChangeMessageId(changeMessageId);
 
-    global.WidgetSDK = WidgetSDK;
-})(typeof window !== 'undefined' ? window : undefined);
+        if (resolvedId === null) {
+            this._log('ValidationFeedback not sent: changeMessageId is missing', 'warn');
+            return null;
+        }
+
+        const message = {
+            name: 'ValidationFeedback',
+            correlationId: resolvedId,
+            valid: valid === undefined ? false : !!valid
+        };
+
+        if (messageText !== undefined) {
+            message.message = messageText;
+        } else {
+            message.message = 'Invalid data';
+        }
+
+        return this.sendMessage(message);
+    }
+
+    /**
+     * Sends a save feedback message. The SDK sends it itself after the Save listeners have finished.
+     * @param {boolean} success True if the widget has saved its data.
+     * @param {string} [messageText] Error message text for a failed save.
+     * @param {number} [saveMessageId] - ID of the corresponding Save message.
+     *                                If not provided, the ID from the last Save message will be used.
+     * @returns {Object|null} Sent message or null on error.
+     */
+    saveFeedback(success, messageText = undefined, saveMessageId = undefined) {
+        const resolvedId = saveMessageId ?? (this._lastSaveMessageId || null);
+
+        if (resolvedId === null) {
+            this._log('SaveFeedback not sent: saveMessageId is missing', 'warn');
+            return null;
+        }
+
+        const message = {
+            name: 'SaveFeedback',
+            correlationId: resolvedId,
+            success: !!success
+        };
+
+        if (!message.success) {
+            message.message = messageText !== undefined ? messageText : 'Save failed';
+        }
+
+        return this.sendMessage(message);
+    }
+
+    /**
+     * Opens a custom popup.
+     * @param {string} popupName Popup name.
+     * @param {Object} popupParameters Popup parameters.
+     * @param {Object} [options] Request options, see sendRequest.
+     * @returns {Promise<Object>} Promise with response.
+     */
+    showPopup(popupName, popupParameters, options = {}) {
+        const message = {
+            name: 'ShowPopupRequest',
+            popupName
+        };
+
+        if (popupParameters !== undefined) {
+            message.popupParameters = popupParameters;
+        }
+
+        return this.sendRequest(message, options);
+    }
+
+    /**
+     * Closes a custom popup.
+     * @param {Object} popupResponse Popup response.
+     * @returns {Object} Sent message.
+     */
+    closePopup(popupResponse) {
+        const message = {
+            name: 'ClosePopup'
+        };
+
+        if (popupResponse !== undefined) {
+            message.popupResponse = popupResponse;
+        }
+
+        return this.sendMessage(message);
+    }
+
+    /**
+     * Creates a controller for the Open/Save/Change flow.
+     * @param {Object} handlers Lifecycle handlers: onOpen, onSave, onChange, validate.
+     * @returns {LifecycleController} Controller with setDirty/clearDirty/isDirty/dispose.
+     */
+    lifecycle(handlers) {
+        return new LifecycleController(this, handlers);
+    }
+
+    /**
+     * Tracks form fields or a state object and sends SetDirty/ClearDirty when the state changes.
+     * @param {HTMLElement|Object} target Root element with form fields or a state object.
+     * @returns {DirtyTracker} Tracker, for state objects changes must go through tracker.state.
+     */
+    trackDirty(target) {
+        return new DirtyTracker(this, target);
+    }
+
+    /**
+     * Returns the openMessageId or messageId from the last Open message.
+     * @param {number} openMessageId ID of the Open message.
+     * @returns {number|null} Open message ID or null.
+     */
+    _getOpenMessageId(openMessageId) {
+        if (openMessageId !== undefined && openMessageId !== null) {
+            return openMessageId;
+        }
+
+        return this._lastOpenMessageId || null;
+    }
+
+    /**
+     * Returns changeMessageId or messageId from the last Change message.
+     * @param {number} changeMessageId ID of the Change message.
+     * @returns {number|null} Change message ID or null.
+     */
+    _getChangeMessageId(changeMessageId) {
+        if (changeMessageId !== undefined && changeMessageId !== null) {
+            return changeMessageId;
+        }
+
+        return this._lastChangeMessageId || null;
+    }
+
+    /**
+     * Cleans up resources, unsubscribes listeners, and rejects active requests.
+     * @returns {void}
+     */
+    destroy() {
+        this._destroyed = true;
+        this.updates.dispose();
+        this._streams.forEach(stream => stream.close());
+        this._streams.clear();
+        this._listeners.clear();
+        this._sdkListeners.clear();
+        this._internalListeners.clear();
+        this._contextListeners = [];
+        this._pendingRequests.forEach(pending => {
+            try {
+                pending.reject(new SDKDestroyedError(undefined, {
+                    requestName: pending.request.name,
+                    messageId: pending.request.messageId
+                }));
+            } catch (e) {
+                // no-op
+            }
+        });
+
+        this._pendingRequests.clear();
+
+        this._unsubscribeTransport();
+        unregisterInstance(this);
+
+        this._log('SDK destroyed');
+
+        if (this.devtools) {
+            this.devtools.destroy();
+        }
+    }
+}
@@ -1,6 +1,7 @@
 /* eslint-disable no-underscore-dangle */
 
-require('./WidgetSDKInstance.js');
+import * as WidgetSDK from './index.js';
+import {flushMicrotasks, useMockHost} from './testUtils.js';
 
 describe('WidgetSDK basics', () => {
     let sdk;
@@ -10,14 +11,21 @@ describe('WidgetSDK basics', () => {
     });
 
     test('sdk instance creation with debug logging', () => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
 
-        expect(window.WidgetSDK).toBeDefined();
+        expect(WidgetSDK).toBeDefined();
         expect(sdk.debug).toBe(true);
     });
 
+    test('module import has no global side effects', () => {
+        sdk = WidgetSDK.create();
+
+        expect(window.WidgetSDK).toBeUndefined();
+        expect(sdk).toBeInstanceOf(WidgetSDK.WidgetSDKInstance);
+    });
+
     test('_nextMessageId result is monotonic', () => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
 
         const first = sdk._nextMessageId();
         const second = sdk._nextMessageId();
@@ -26,7 +34,7 @@ describe('WidgetSDK basics', () => {
     });
 
     test('_log respects debug flag and levels', () => {
-        sdk = window.WidgetSDK.create({debug: false});
+        sdk = WidgetSDK.create({debug: false});
 
         const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
         const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
@@ -48,7 +56,7 @@ describe('_handleMessage and events', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -144,11 +152,265 @@ describe('_handleMessage and events', () => {
     });
 });
 
+describe('retry', () => {
+    let sdk;
+    let postMessageSpy;
+    let sentIds;
+
+    const failTimes = count => {
+        let calls = 0;
+
+        postMessageSpy.mockImplementation(message => {
+            calls += 1;
+            sentIds.push(message.messageId);
+
+            if (calls <= count) {
+                throw new Error('postMessage boom');
+            }
+
+            Promise.resolve().then(() => {
+                sdk._handleMessage({data: {name: 'NavigateResponse', correlationId: message.messageId}});
+            });
+        });
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        postMessageSpy = jest.spyOn(window, 'postMessage');
+        sentIds = [];
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        postMessageSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('retries idempotent requests with exponential backoff and new messageIds', async () => {
+        sdk = WidgetSDK.create({retry: {retries: 3, minDelay: 100, jitter: false}});
+        jest.spyOn(sdk, '_log').mockImplementation(() => {});
+        failTimes(2);
+
+        const promise = sdk.navigateTo('/path');
+
+        expect(postMessageSpy).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(100);
+        expect(postMessageSpy).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(200);
+
+        await expect(promise).resolves.toMatchObject({name: 'NavigateResponse'});
+        expect(postMessageSpy).toHaveBeenCalledTimes(3);
+
+        expect(new Set(sentIds).size).toBe(3);
+        expect(sdk._log).toHaveBeenCalledWith('Retrying NavigateRequest in 100 ms: postMessage boom', 'warn');
+    });
+
+    test('rejects with the last error when retries are exhausted', async () => {
+        sdk = WidgetSDK.create({retry: {retries: 1, minDelay: 10, jitter: false}});
+        failTimes(5);
+
+        const promise = sdk.selectGoodFolder().catch(error => error);
+
+        await jest.advanceTimersByTimeAsync(10);
+
+        expect(await promise).toBeInstanceOf(WidgetSDK.TransportError);
+        expect(postMessageSpy).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry UpdateRequest unless enabled per call', async () => {
+        sdk = WidgetSDK.create({retry: {retries: 2, minDelay: 10, jitter: false}});
+        failTimes(1);
+
+        await expect(sdk.update({foo: 'bar'})).rejects.toThrow('postMessage boom');
+        expect(postMessageSpy).toHaveBeenCalledTimes(1);
+
+        failTimes(1);
+
+        const promise = sdk.update({foo: 'bar'}, {retry: true});
+
+        await jest.advanceTimersByTimeAsync(10);
+        await expect(promise).resolves.toMatchObject({name: 'NavigateResponse'});
+    });
+
+    test('does not retry host errors by default and uses the predicate', async () => {
+        const shouldRetry = jest.fn(error => error.errors.some(entry => entry.code === 'BUSY'));
+
+        sdk = WidgetSDK.create({retry: {retries: 2, minDelay: 10, jitter: false, shouldRetry}});
+        postMessageSpy.mockImplementation(message => {
+            Promise.resolve().then(() => {
+                sdk._handleMessage({
+                    data: {
+                        name: 'InvalidMessageError',
+                        correlationId: message.messageId,
+                        errors: [{error: 'Permanent', code: 'BAD'}],
+                    },
+                });
+            });
+        });
+
+        await expect(sdk.navigateTo('/path')).rejects.toBeInstanceOf(WidgetSDK.HostInvalidMessageError);
+        expect(shouldRetry).toHaveBeenCalledTimes(1);
+        expect(postMessageSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry timeouts of interactive requests', async () => {
+        sdk = WidgetSDK.create({requestTimeout: 100, retry: {retries: 2, minDelay: 10, jitter: false}});
+        jest.spyOn(sdk, '_log').mockImplementation(() => {});
+        postMessageSpy.mockImplementation(message => {
+            sentIds.push(message.messageId);
+        });
+
+        const folder = sdk.selectGoodFolder().catch(error => error);
+
+        await jest.advanceTimersByTimeAsync(100);
+
+        expect(await folder).toBeInstanceOf(WidgetSDK.TimeoutError);
+        expect(sentIds).toHaveLength(1);
+
+        const navigation = sdk.navigateTo('/path').catch(error => error);
+
+        await jest.advanceTimersByTimeAsync(110);
+
+        expect(sentIds).toHaveLength(3);
+
+        sdk._handleMessage({data: {name: 'NavigateResponse', correlationId: sentIds[2]}});
+
+        await expect(navigation).resolves.toMatchObject({name: 'NavigateResponse'});
+    });
+
+    test('isTransientError leaves host errors and an unresolved host origin permanent', () => {
+        const hostError = new WidgetSDK.HostInvalidMessageError('Service is temporarily unavailable', {
+            errors: [{error: 'Service is temporarily unavailable', code: 503}],
+        });
+
+        expect(WidgetSDK.isTransientError(hostError)).toBe(false);
+        expect(WidgetSDK.isTransientError(new WidgetSDK.TransportError('postMessage boom'))).toBe(true);
+        expect(WidgetSDK.isTransientError(new WidgetSDK.TransportError('Host origin is not resolved', {
+            code: 'HOST_ORIGIN_UNRESOLVED',
+        }))).toBe(false);
+        expect(WidgetSDK.isTransientError(new WidgetSDK.TimeoutError('', {requestName: 'ShowDialogRequest'}))).toBe(false);
+        expect(WidgetSDK.isTransientError(new WidgetSDK.TimeoutError('', {requestName: 'NavigateRequest'}))).toBe(true);
+    });
+
+    test('retry: false disables retries and abort cancels the backoff', async () => {
+        sdk = WidgetSDK.create({retry: 3});
+        failTimes(10);
+
+        await expect(sdk.navigateTo('/path', 'blank', {retry: false})).rejects.toThrow('postMessage boom');
+        expect(postMessageSpy).toHaveBeenCalledTimes(1);
+
+        const controller = new AbortController();
+        const promise = sdk.navigateTo('/path', 'blank', {signal: controller.signal}).catch(error => error);
+
+        await Promise.resolve();
+        controller.abort();
+
+        expect(await promise).toBeInstanceOf(WidgetSDK.RequestAbortedError);
+        expect(postMessageSpy).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('typed errors', () => {
+    let sdk;
+
+    beforeEach(() => {
+        sdk = WidgetSDK.create();
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+    });
+
+    test('host InvalidMessageError becomes HostInvalidMessageError with all errors and request info', async () => {
+        const {HostInvalidMessageError, WidgetSDKError} = WidgetSDK;
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+
+        try {
+            const promise = sdk.sendRequest({name: 'UpdateRequest', messageId: 8});
+            const response = {
+                correlationId: 8,
+                name: 'InvalidMessageError',
+                errors: [{error: 'Bad field', code: 3001}, {error: 'Bad value', code: 3002}],
+            };
+
+            sdk._handleMessage({data: response});
+
+            const error = await promise.catch(e => e);
+
+            expect(error).toBeInstanceOf(HostInvalidMessageError);
+            expect(error).toBeInstanceOf(WidgetSDKError);
+            expect(error).toBeInstanceOf(Error);
+            expect(error).toMatchObject({
+                message: 'Bad field; Bad value',
+                code: 'HOST_INVALID_MESSAGE',
+                requestName: 'UpdateRequest',
+                messageId: 8,
+                rawMessage: response,
+            });
+            expect(error.errors).toEqual([
+                {error: 'Bad field', code: 3001, message: 'Bad field'},
+                {error: 'Bad value', code: 3002, message: 'Bad value'},
+            ]);
+        } finally {
+            postMessageSpy.mockRestore();
+        }
+    });
+
+    test('postMessage failure becomes TransportError with cause', async () => {
+        const {TransportError} = WidgetSDK;
+        const cause = new Error('postMessage boom');
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {
+            throw cause;
+        });
+
+        try {
+            const error = await sdk.selectGoodFolder().catch(e => e);
+
+            expect(error).toBeInstanceOf(TransportError);
+            expect(error).toMatchObject({
+                code: 'TRANSPORT_ERROR',
+                requestName: 'SelectGoodFolderRequest',
+                cause,
+            });
+        } finally {
+            postMessageSpy.mockRestore();
+        }
+    });
+
+    test('timeouts, aborts and destroy use typed errors', async () => {
+        const {TimeoutError, RequestAbortedError, SDKDestroyedError} = WidgetSDK;
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+
+        jest.useFakeTimers();
+
+        try {
+            const controller = new AbortController();
+            const timedOut = sdk.navigateTo('/path', 'self', {timeout: 10}).catch(e => e);
+            const aborted = sdk.update({}, {signal: controller.signal}).catch(e => e);
+            const destroyed = sdk.selectGoodFolder().catch(e => e);
+
+            jest.advanceTimersByTime(10);
+            controller.abort();
+            sdk.destroy();
+
+            expect(await timedOut).toBeInstanceOf(TimeoutError);
+            expect(await aborted).toBeInstanceOf(RequestAbortedError);
+            expect(await destroyed).toBeInstanceOf(SDKDestroyedError);
+            expect(await destroyed).toMatchObject({code: 'SDK_DESTROYED', requestName: 'SelectGoodFolderRequest'});
+        } finally {
+            jest.useRealTimers();
+            postMessageSpy.mockRestore();
+        }
+    });
+});
+
 describe('subscription helpers (on*/off)', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -220,7 +482,7 @@ describe('sendRequest and sendMessage', () => {
     let originalParent;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
         originalParent = global.parent;
     });
 
@@ -303,11 +565,368 @@ describe('sendRequest and sendMessage', () => {
     });
 });
 
+describe('hostOrigins', () => {
+    const hostOrigin = 'https://online.moysklad.ru';
+    let sdk;
+    let originalParent;
+
+    beforeEach(() => {
+        originalParent = global.parent;
+        global.parent = window;
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        global.parent = originalParent;
+    });
+
+    test('accepts messages from allowed origin and host window', () => {
+        sdk = WidgetSDK.create({hostOrigins: [hostOrigin]});
+
+        const openHandler = jest.fn();
+        const message = {name: 'Open', messageId: 1};
+
+        sdk.onOpen(openHandler);
+        sdk._handleMessage({data: message, origin: hostOrigin, source: window});
+
+        expect(openHandler).toHaveBeenCalledWith(message);
+    });
+
+    test('drops and logs messages from unknown origin', () => {
+        sdk = WidgetSDK.create({hostOrigins: hostOrigin});
+
+        const openHandler = jest.fn();
+        const logSpy = jest.spyOn(sdk, '_log').mockImplementation(() => {});
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+
+        try {
+            sdk.onOpen(openHandler);
+            sdk.sendRequest({name: 'SelectGoodFolderRequest', messageId: 5}).catch(() => {});
+
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}, origin: 'https://evil.example', source: window});
+            sdk._handleMessage({data: {name: 'SelectGoodFolderResponse', correlationId: 5}, origin: 'https://evil.example', source: window});
+
+            expect(openHandler).not.toHaveBeenCalled();
+            expect(sdk._pendingRequests.has(5)).toBe(true);
+            expect(logSpy).toHaveBeenCalledWith('Message rejected: origin https://evil.example is not allowed', 'warn');
+        } finally {
+            logSpy.mockRestore();
+            postMessageSpy.mockRestore();
+        }
+    });
+
+    test('drops messages whose source is not the host window', () => {
+        sdk = WidgetSDK.create({hostOrigins: [hostOrigin]});
+
+        const openHandler = jest.fn();
+        const logSpy = jest.spyOn(sdk, '_log').mockImplementation(() => {});
+
+        try {
+            sdk.onOpen(openHandler);
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}, origin: hostOrigin, source: {}});
+
+            expect(openHandler).not.toHaveBeenCalled();
+            expect(logSpy).toHaveBeenCalledWith(
+                `Message rejected: source is not the host window (origin ${hostOrigin})`,
+                'warn',
+            );
+        } finally {
+            logSpy.mockRestore();
+        }
+    });
+
+    test('posts messages to the resolved host origin', () => {
+        sdk = WidgetSDK.create({hostOrigins: ['https://apps.moysklad.ru', hostOrigin]});
+
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+
+        try {
+            sdk._handleMessage({data: {name: 'Open', messageId: 1}, origin: hostOrigin, source: window});
+
+            const message = sdk.openFeedback();
+
+            expect(postMessageSpy).toHaveBeenCalledWith(message, hostOrigin);
+        } finally {
+            postMessageSpy.mockRestore();
+        }
+    });
+
+    test('sendRequest rejects when host origin cannot be resolved', async () => {
+        sdk = WidgetSDK.create({hostOrigins: ['https://apps.moysklad.ru', hostOrigin], retry: 3});
+
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+        const logSpy = jest.spyOn(sdk, '_log').mockImplementation(() => {});
+
+        try {
+            await expect(sdk.selectGoodFolder()).rejects.toMatchObject({
+                name: 'TransportError',
+                code: 'HOST_ORIGIN_UNRESOLVED',
+                message: 'Host origin is not resolved',
+            });
+            expect(postMessageSpy).not.toHaveBeenCalled();
+            expect(sdk._pendingRequests.size).toBe(0);
+        } finally {
+            postMessageSpy.mockRestore();
+            logSpy.mockRestore();
+        }
+    });
+
+    test('sendMessage returns null when host origin cannot be resolved', () => {
+        sdk = WidgetSDK.create({hostOrigins: ['https://apps.moysklad.ru', hostOrigin]});
+
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+        const logSpy = jest.spyOn(sdk, '_log').mockImplementation(() => {});
+
+        try {
+            const controller = sdk.lifecycle();
+
+            sdk._lastOpenMessageId = 1;
+            controller.setDirty();
+
+            expect(sdk.clearDirty()).toBeNull();
+            expect(controller.isDirty()).toBe(false);
+            expect(postMessageSpy).not.toHaveBeenCalled();
+            expect(logSpy).toHaveBeenCalledWith('postMessage error for SetDirty: Host origin is not resolved', 'warn');
+        } finally {
+            postMessageSpy.mockRestore();
+            logSpy.mockRestore();
+        }
+    });
+});
+
+describe('request timeouts and cancellation', () => {
+    let sdk;
+    let postMessageSpy;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        postMessageSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('rejects with RequestTimeout after the default requestTimeout', async () => {
+        sdk = WidgetSDK.create({requestTimeout: 1000});
+
+        const logSpy = jest.spyOn(sdk, '_log');
+        const promise = sdk.selectGoodFolder();
+
+        jest.advanceTimersByTime(1000);
+
+        await expect(promise).rejects.toMatchObject({
+            name: 'RequestTimeout',
+            requestName: 'SelectGoodFolderRequest',
+        });
+        expect(sdk._pendingRequests.size).toBe(0);
+        expect(logSpy).toHaveBeenCalledWith('Request SelectGoodFolderRequest rejected: Request timed out after 1000 ms', 'warn');
+    });
+
+    test('per-call timeout overrides the default one', async () => {
+        sdk = WidgetSDK.create({requestTimeout: 1000});
+
+        const promise = sdk.showDialog('Hello', undefined, {timeout: 0});
+
+        jest.advanceTimersByTime(5000);
+
+        expect(sdk._pendingRequests.size).toBe(1);
+
+        const [[message]] = postMessageSpy.mock.calls;
+        const response = {name: 'ShowDialogResponse', correlationId: message.messageId, result: 'Ok'};
+
+        sdk._handleMessage({data: response});
+
+        await expect(promise).resolves.toEqual(response);
+    });
+
+    test('response clears the timeout', async () => {
+        sdk = WidgetSDK.create();
+
+        const promise = sdk.sendRequest({name: 'NavigateRequest', messageId: 3}, {timeout: 1000});
+
+        sdk._handleMessage({data: {name: 'NavigateResponse', correlationId: 3}});
+
+        await expect(promise).resolves.toEqual({name: 'NavigateResponse', correlationId: 3});
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('rejects with RequestAborted when the signal is aborted', async () => {
+        sdk = WidgetSDK.create();
+
+        const logSpy = jest.spyOn(sdk, '_log');
+        const controller = new AbortController();
+        const promise = sdk.update({foo: 'bar'}, {signal: controller.signal});
+
+        controller.abort();
+
+        await expect(promise).rejects.toMatchObject({
+            name: 'RequestAborted',
+            requestName: 'UpdateRequest',
+        });
+        expect(sdk._pendingRequests.size).toBe(0);
+        expect(logSpy).toHaveBeenCalledWith('Request UpdateRequest rejected: Request aborted', 'log');
+    });
+
+    test('does not send a request with an already aborted signal', async () => {
+        sdk = WidgetSDK.create();
+
+        const controller = new AbortController();
+
+        controller.abort();
+
+        await expect(sdk.navigateTo('/path', 'self', {signal: controller.signal}))
+            .rejects.toMatchObject({name: 'RequestAborted'});
+        expect(postMessageSpy).not.toHaveBeenCalled();
+        expect(sdk._pendingRequests.size).toBe(0);
+    });
+});
+
+describe('middleware', () => {
+    let sdk;
+    let postMessageSpy;
+
+    beforeEach(() => {
+        sdk = WidgetSDK.create();
+        postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        postMessageSpy.mockRestore();
+    });
+
+    test('outgoing middleware runs in order and can transform messages', () => {
+        const order = [];
+
+        sdk.use({
+            outgoing(message, next) {
+                order.push('first');
+                next({...message, traceId: 'trace-1'});
+            },
+        });
+        sdk.use({
+            outgoing(message, next) {
+                order.push(`second:${message.traceId}`);
+                next();
+            },
+        });
+
+        sdk.clearDirty();
+
+        expect(order).toEqual(['first', 'second:trace-1']);
+        expect(postMessageSpy).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'ClearDirty',
+            traceId: 'trace-1',
+        }), '*');
+    });
+
+    test('outgoing middleware can drop messages and requests', async () => {
+        sdk.use({
+            outgoing(message, next) {
+                if (message.name !== 'ClearDirty' && message.name !== 'UpdateRequest') {
+                    next();
+                }
+            },
+        });
+
+        expect(sdk.clearDirty()).toBeNull();
+
+        const error = await sdk.update({}).catch(e => e);
+
+        expect(error).toBeInstanceOf(WidgetSDK.WidgetSDKError);
+        expect(error).toMatchObject({code: 'MESSAGE_DROPPED', requestName: 'UpdateRequest'});
+        expect(sdk._pendingRequests.size).toBe(0);
+        expect(postMessageSpy).not.toHaveBeenCalled();
+    });
+
+    test('ignores next called asynchronously', async () => {
+        const logSpy = jest.spyOn(sdk, '_log').mockImplementation(() => {});
+        let late;
+
+        sdk.use({
+            outgoing(message, next) {
+                late = Promise.resolve().then(() => next());
+            },
+        });
+
+        const error = await sdk.update({}).catch(e => e);
+
+        await late;
+
+        expect(error).toMatchObject({code: 'MESSAGE_DROPPED', requestName: 'UpdateRequest'});
+        expect(postMessageSpy).not.toHaveBeenCalled();
+        expect(logSpy).toHaveBeenCalledWith(
+            'outgoing middleware called next asynchronously, UpdateRequest was already dropped',
+            'warn'
+        );
+    });
+
+    test('incoming middleware can observe, transform and drop messages', async () => {
+        const seen = [];
+        const openHandler = jest.fn();
+
+        sdk.use({
+            incoming(message, next) {
+                seen.push(message.name);
+
+                if (message.name === 'Save') {
+                    return;
+                }
+
+                next(message.name === 'Open' ? {...message, objectId: 'redacted'} : message);
+            },
+        });
+        sdk.onOpen(openHandler);
+        sdk.onSave(openHandler);
+
+        const promise = sdk.sendRequest({name: 'NavigateRequest', messageId: 50});
+
+        sdk._handleMessage({data: {name: 'Open', messageId: 1, objectId: 'secret'}});
+        sdk._handleMessage({data: {name: 'Save', messageId: 2}});
+        sdk._handleMessage({data: {name: 'NavigateResponse', correlationId: 50}});
+
+        await expect(promise).resolves.toEqual({name: 'NavigateResponse', correlationId: 50});
+        expect(seen).toEqual(['Open', 'Save', 'NavigateResponse']);
+        expect(openHandler).toHaveBeenCalledTimes(1);
+        expect(openHandler).toHaveBeenCalledWith({name: 'Open', messageId: 1, objectId: 'redacted'});
+    });
+
+    test('incoming middleware errors are logged and drop the message', () => {
+        const openHandler = jest.fn();
+        const logSpy = jest.spyOn(sdk, '_log').mockImplementation(() => {});
+
+        sdk.use({
+            incoming() {
+                throw new Error('boom');
+            },
+        });
+        sdk.onOpen(openHandler);
+        sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+
+        expect(openHandler).not.toHaveBeenCalled();
+        expect(logSpy).toHaveBeenCalledWith('Incoming middleware error for Open: boom', 'warn');
+    });
+
+    test('use returns a function that removes the middleware', () => {
+        const outgoing = jest.fn((message, next) => next());
+        const remove = sdk.use({outgoing});
+
+        remove();
+        sdk.clearDirty();
+
+        expect(outgoing).not.toHaveBeenCalled();
+        expect(() => sdk.use({})).toThrow(TypeError);
+    });
+});
+
 describe('service protocols', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -322,7 +941,7 @@ describe('service protocols', () => {
         try {
             const result = await sdk.selectGoodFolder();
 
-            expect(sendRequestSpy).toHaveBeenCalledWith({name: 'SelectGoodFolderRequest'});
+            expect(sendRequestSpy).toHaveBeenCalledWith({name: 'SelectGoodFolderRequest'}, {});
             expect(result).toEqual({ok: true});
         } finally {
             sendRequestSpy.mockRestore();
@@ -342,7 +961,7 @@ describe('service protocols', () => {
                 name: 'ShowDialogRequest',
                 dialogText: text,
                 buttons: [{name: 'Ok', caption: 'ОК'}],
-            });
+            }, {});
             expect(result).toEqual({dialogResult: 'Ok'});
         } finally {
             sendRequestSpy.mockRestore();
@@ -361,7 +980,7 @@ describe('service protocols', () => {
                 name: 'NavigateRequest',
                 path: '/some/path',
                 target: 'self',
-            });
+            }, {});
             expect(result).toEqual({navigated: true});
         } finally {
             sendRequestSpy.mockRestore();
@@ -373,7 +992,7 @@ describe('update', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -392,19 +1011,104 @@ describe('update', () => {
             expect(sendRequestSpy).toHaveBeenCalledWith({
                 name: 'UpdateRequest',
                 updateState,
-            });
+            }, {});
             expect(result).toEqual({updated: true});
         } finally {
             sendRequestSpy.mockRestore();
         }
     });
+
+    describe('updateOptimistic', () => {
+        let postMessageSpy;
+        let state;
+
+        const handlers = () => ({
+            apply: jest.fn(updateState => {
+                const previous = {...state};
+
+                Object.assign(state, updateState);
+
+                return previous;
+            }),
+            revert: jest.fn((error, previous) => {
+                state = previous;
+            }),
+        });
+
+        beforeEach(() => {
+            postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+            state = {description: 'old'};
+        });
+
+        afterEach(() => {
+            postMessageSpy.mockRestore();
+        });
+
+        test('applies the change before the response and keeps it on success', async () => {
+            const {apply, revert} = handlers();
+            const promise = sdk.updateOptimistic({description: 'new'}, {apply, revert});
+
+            expect(state).toEqual({description: 'new'});
+
+            const request = postMessageSpy.mock.calls[0][0];
+            const response = {name: 'UpdateResponse', correlationId: request.messageId};
+
+            sdk._handleMessage({data: response});
+
+            await expect(promise).resolves.toEqual(response);
+            expect(revert).not.toHaveBeenCalled();
+            expect(state).toEqual({description: 'new'});
+        });
+
+        test('reverts when the host rejects the update', async () => {
+            const {apply, revert} = handlers();
+            const promise = sdk.updateOptimistic({description: 'new'}, {apply, revert});
+            const request = postMessageSpy.mock.calls[0][0];
+            const errors = [{error: 'Field is read-only', code: 3006}];
+
+            sdk._handleMessage({data: {name: 'InvalidMessageError', correlationId: request.messageId, errors}});
+
+            const error = await promise.catch(e => e);
+
+            expect(error).toBeInstanceOf(WidgetSDK.HostInvalidMessageError);
+            expect(error.details).toEqual(errors);
+            expect(revert).toHaveBeenCalledWith(error, {description: 'old'});
+            expect(state).toEqual({description: 'old'});
+        });
+
+        test('reverts on timeout and logs revert errors', async () => {
+            const revert = jest.fn(() => {
+                throw new Error('revert boom');
+            });
+            const logSpy = jest.spyOn(sdk, '_log');
+
+            try {
+                const error = await sdk.updateOptimistic({description: 'new'}, {revert, timeout: 10}).catch(e => e);
+
+                expect(error).toBeInstanceOf(WidgetSDK.TimeoutError);
+                expect(revert).toHaveBeenCalledWith(error, undefined);
+                expect(logSpy).toHaveBeenCalledWith('Optimistic update revert error: revert boom', 'warn');
+            } finally {
+                logSpy.mockRestore();
+            }
+        });
+
+        test('does not send the update if apply throws', async () => {
+            const apply = () => {
+                throw new Error('apply boom');
+            };
+
+            await expect(sdk.updateOptimistic({description: 'new'}, {apply})).rejects.toThrow('apply boom');
+            expect(postMessageSpy).not.toHaveBeenCalled();
+        });
+    });
 });
 
 describe('setDirty / clearDirty', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -478,7 +1182,7 @@ describe('openFeedback / validationFeedback', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -579,7 +1283,7 @@ describe('custom popup helpers', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -598,12 +1302,12 @@ describe('custom popup helpers', () => {
             expect(sendRequestSpy).toHaveBeenNthCalledWith(1, {
                 name: 'ShowPopupRequest',
                 popupName: 'MyPopup',
-            });
+            }, {});
             expect(sendRequestSpy).toHaveBeenNthCalledWith(2, {
                 name: 'ShowPopupRequest',
                 popupName: 'MyPopup',
                 popupParameters: {foo: 'bar'},
-            });
+            }, {});
 
             expect(result1).toEqual({closed: true});
             expect(result2).toEqual({closed: true});
@@ -636,11 +1340,483 @@ describe('custom popup helpers', () => {
     });
 });
 
+describe('context', () => {
+    let sdk;
+
+    beforeEach(() => {
+        sdk = WidgetSDK.create();
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+    });
+
+    test('getContext returns null before the first Open', () => {
+        expect(sdk.getContext()).toBeNull();
+    });
+
+    test('parses document context from Open', () => {
+        sdk._handleMessage({
+            data: {
+                name: 'Open',
+                messageId: 3,
+                extensionPoint: 'document.customerorder.edit',
+                objectId: 'order-1',
+                displayMode: 'expanded',
+            },
+        });
+
+        const context = sdk.getContext();
+
+        expect(context).toBeInstanceOf(WidgetSDK.WidgetContext);
+        expect(context).toMatchObject({
+            messageId: 3,
+            kind: 'document',
+            entityType: 'customerorder',
+            action: 'edit',
+            objectId: 'order-1',
+            isNew: false,
+            displayMode: 'expanded',
+        });
+        expect(context.isDocument()).toBe(true);
+        expect(context.isEntity()).toBe(false);
+        expect(Object.isFrozen(context)).toBe(true);
+    });
+
+    test('marks objects without id or in create mode as new', () => {
+        sdk._handleMessage({data: {name: 'Open', messageId: 1, extensionPoint: 'entity.counterparty.edit'}});
+
+        expect(sdk.getContext()).toMatchObject({kind: 'entity', objectId: null, isNew: true});
+
+        sdk._handleMessage({
+            data: {name: 'Open', messageId: 2, extensionPoint: 'document.demand.create', objectId: 'draft'},
+        });
+
+        expect(sdk.getContext().isNew).toBe(true);
+    });
+
+    test('parses popup context from OpenPopup with frozen parameters', () => {
+        sdk._handleMessage({
+            data: {name: 'OpenPopup', messageId: 4, popupName: 'Picker', popupParameters: {ids: ['a']}},
+        });
+
+        const context = sdk.getContext();
+
+        expect(context.isPopup()).toBe(true);
+        expect(context).toMatchObject({popupName: 'Picker', popupParameters: {ids: ['a']}, isNew: false});
+        expect(Object.isFrozen(context.popupParameters.ids)).toBe(true);
+    });
+
+    test('onContextChange notifies with new and previous context before event listeners', () => {
+        const calls = [];
+        const unsubscribe = sdk.onContextChange((context, previous) => {
+            calls.push(['context', context.messageId, previous && previous.messageId]);
+        });
+
+        sdk.onOpen(() => calls.push(['open', sdk.getContext().messageId]));
+        sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+        sdk._handleMessage({data: {name: 'Open', messageId: 2}});
+
+        unsubscribe();
+        sdk._handleMessage({data: {name: 'Open', messageId: 3}});
+
+        expect(calls).toEqual([
+            ['context', 1, null],
+            ['open', 1],
+            ['context', 2, 1],
+            ['open', 2],
+            ['open', 3],
+        ]);
+    });
+});
+
+describe('pattern subscriptions', () => {
+    const mock = useMockHost({host: {autoRespond: false}});
+
+    test('* and prefix patterns receive matching host messages once per listener', () => {
+        const all = jest.fn();
+        const opens = jest.fn();
+        const both = jest.fn();
+
+        mock.sdk.on('*', all);
+        mock.sdk.on('Open*', opens);
+        mock.sdk.on('Open', both);
+        mock.sdk.on('Open*', both);
+
+        mock.host.open({extensionPoint: 'document.customerorder.edit'});
+        mock.host.openPopup({popupName: 'Picker'});
+        mock.host.change({updateState: {}});
+
+        expect(all.mock.calls.map(([message]) => message.name)).toEqual(['Open', 'OpenPopup', 'Change']);
+        expect(opens.mock.calls.map(([message]) => message.name)).toEqual(['Open', 'OpenPopup']);
+        expect(both.mock.calls.map(([message]) => message.name)).toEqual(['Open', 'OpenPopup']);
+
+        mock.sdk.off('*', all);
+        mock.host.change({updateState: {}});
+
+        expect(all).toHaveBeenCalledTimes(3);
+    });
+
+    test('patterns do not receive SDK events and responses to pending requests', async () => {
+        const all = jest.fn();
+
+        mock.sdk.on('*', all);
+
+        const request = mock.sdk.sendRequest({name: 'CustomRequest'});
+
+        mock.host.reply(mock.host.lastMessage('CustomRequest'), {});
+        await request;
+        mock.host.emit('NewHostEvent', {value: 1});
+
+        expect(all.mock.calls.map(([message]) => message.name)).toEqual(['NewHostEvent']);
+    });
+
+    test('onUnhandled gets messages without listeners and pending requests', () => {
+        const unhandled = jest.fn();
+        const save = jest.fn();
+
+        mock.sdk.onUnhandled(unhandled);
+
+        mock.host.emit('NewHostEvent');
+        mock.host.emit('NavigateResponse', {correlationId: 999});
+        mock.host.change({updateState: {}});
+        mock.host.save();
+        mock.sdk.onSave(save);
+        mock.host.save();
+        mock.host.open({extensionPoint: 'document.customerorder.edit'});
+
+        expect(unhandled.mock.calls.map(([message]) => message.name)).toEqual([
+            'NewHostEvent',
+            'NavigateResponse',
+            'Change',
+            'Save',
+            'Open',
+        ]);
+        expect(save).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps SDK events apart from host messages with the same names', () => {
+        const unhandled = jest.fn();
+        const all = jest.fn();
+
+        mock.sdk.onUnhandled(unhandled);
+        mock.sdk.on('*', all);
+        mock.host.emit('unhandled', {value: 1});
+
+        expect(all).toHaveBeenCalledTimes(1);
+        expect(unhandled).not.toHaveBeenCalled();
+    });
+
+    test('skips patterns for messages without a string name', () => {
+        const unhandled = jest.fn();
+        const all = jest.fn();
+        const logSpy = jest.spyOn(mock.sdk, '_log');
+
+        mock.sdk.onUnhandled(unhandled);
+        mock.sdk.on('*', all);
+        mock.host.emit(undefined);
+        mock.host.emit(42);
+
+        expect(all).not.toHaveBeenCalled();
+        expect(unhandled).toHaveBeenCalledTimes(2);
+        expect(logSpy).not.toHaveBeenCalledWith(expect.stringContaining('Incoming middleware error'), 'warn');
+    });
+});
+
+describe('lifecycle', () => {
+    let sdk;
+    let sendMessageSpy;
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const sentNames = () => sendMessageSpy.mock.calls.map(([message]) => message.name);
+
+    beforeEach(() => {
+        sdk = WidgetSDK.create();
+        sendMessageSpy = jest.spyOn(sdk, 'sendMessage').mockImplementation(message => message);
+    });
+
+    afterEach(() => {
+        sendMessageSpy.mockRestore();
+        sdk.destroy();
+    });
+
+    test('sends OpenFeedback after async onOpen resolves', async () => {
+        let resolveOpen;
+        const onOpen = jest.fn(() => new Promise(resolve => {
+            resolveOpen = resolve;
+        }));
+
+        sdk.lifecycle({onOpen});
+        sdk._handleMessage({data: {name: 'Open', messageId: 10}});
+
+        await flush();
+        expect(onOpen).toHaveBeenCalledWith({name: 'Open', messageId: 10}, expect.anything());
+        expect(sendMessageSpy).not.toHaveBeenCalled();
+
+        resolveOpen();
+        await flush();
+
+        expect(sendMessageSpy).toHaveBeenCalledWith(expect.objectContaining({
+            name: 'OpenFeedback',
+            correlationId: 10,
+        }));
+    });
+
+    test('skips OpenFeedback for an outdated Open', async () => {
+        const resolvers = [];
+
+        sdk.lifecycle({onOpen: () => new Promise(resolve => resolvers.push(resolve))});
+        sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+        sdk._handleMessage({data: {name: 'Open', messageId: 2}});
+
+        await flush();
+        resolvers.forEach(resolve => resolve());
+        await flush();
+
+        expect(sendMessageSpy).toHaveBeenCalledTimes(1);
+        expect(sendMessageSpy.mock.calls[0][0]).toMatchObject({name: 'OpenFeedback', correlationId: 2});
+    });
+
+    test('maps validate results and handler errors to ValidationFeedback', async () => {
+        const validate = jest.fn()
+            .mockResolvedValueOnce(true)
+            .mockResolvedValueOnce('Name is required')
+            .mockRejectedValueOnce(new Error('boom'));
+
+        sdk.lifecycle({validate});
+
+        for (const messageId of [1, 2, 3]) {
+            sdk._handleMessage({data: {name: 'Change', messageId}});
+            await flush();
+        }
+
+        expect(sendMessageSpy.mock.calls.map(([message]) => message)).toEqual([
+            expect.objectContaining({name: 'ValidationFeedback', correlationId: 1, valid: true}),
+            expect.objectContaining({
+                name: 'ValidationFeedback',
+                correlationId: 2,
+                valid: false,
+                message: 'Name is required',
+            }),
+            expect.objectContaining({name: 'ValidationFeedback', correlationId: 3, valid: false, message: 'boom'}),
+        ]);
+    });
+
+    test('sends SetDirty once and clears it after a successful Save', async () => {
+        const onSave = jest.fn().mockResolvedValue();
+        const controller = sdk.lifecycle({onSave});
+
+        sdk._handleMessage({data: {name: 'Open', messageId: 5}});
+        await flush();
+
+        controller.setDirty();
+        controller.setDirty();
+
+        expect(controller.isDirty()).toBe(true);
+
+        sdk._handleMessage({data: {name: 'Save', messageId: 6}});
+        await flush();
+
+        expect(onSave).toHaveBeenCalled();
+        expect(controller.isDirty()).toBe(false);
+        expect(sentNames()).toEqual(['OpenFeedback', 'SetDirty', 'ClearDirty', 'SaveFeedback']);
+    });
+
+    test('keeps dirty state when onSave fails', async () => {
+        const controller = sdk.lifecycle({onSave: () => Promise.reject(new Error('save failed'))});
+
+        sdk._handleMessage({data: {name: 'Open', messageId: 5}});
+        await flush();
+
+        controller.setDirty();
+        sdk._handleMessage({data: {name: 'Save', messageId: 6}});
+        await flush();
+
+        expect(controller.isDirty()).toBe(true);
+        expect(sentNames()).toEqual(['OpenFeedback', 'SetDirty', 'SaveFeedback']);
+        expect(sendMessageSpy).toHaveBeenLastCalledWith(expect.objectContaining({success: false, message: 'save failed'}));
+    });
+
+    test('dispose unsubscribes from host events', async () => {
+        const onOpen = jest.fn();
+        const controller = sdk.lifecycle({onOpen});
+
+        controller.dispose();
+        sdk._handleMessage({data: {name: 'Open', messageId: 1}});
+        await flush();
+
+        expect(onOpen).not.toHaveBeenCalled();
+        expect(sendMessageSpy).not.toHaveBeenCalled();
+    });
+});
+
+describe('save handshake', () => {
+    const mock = useMockHost({sdk: {saveTimeout: 1000}});
+    let warnSpy;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'id'});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('reports success after all Save handlers have resolved', async () => {
+        let resolveSave;
+        const sync = jest.fn();
+
+        mock.sdk.onSave(() => new Promise(resolve => {
+            resolveSave = resolve;
+        }));
+        mock.sdk.onSave(sync);
+
+        const save = mock.host.save({messageId: 42});
+
+        await flushMicrotasks();
+
+        expect(sync).toHaveBeenCalledWith(save);
+        expect(mock.host.messages('SaveFeedback')).toEqual([]);
+
+        resolveSave();
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([
+            expect.objectContaining({correlationId: 42, success: true}),
+        ]);
+        expect(mock.host.lastMessage('SaveFeedback')).not.toHaveProperty('message');
+    });
+
+    test('reports a thrown error or a rejected promise as a failed save', async () => {
+        mock.sdk.onSave(() => {
+            throw new Error('Storage is full');
+        });
+        mock.sdk.onSave(() => Promise.reject(new Error('Never reported')));
+        mock.host.save({messageId: 43});
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([
+            expect.objectContaining({correlationId: 43, success: false, message: 'Storage is full'}),
+        ]);
+        expect(warnSpy).toHaveBeenCalledWith('[WidgetSDK]', 'Save handler error: Storage is full');
+    });
+
+    test('fails the save when handlers exceed saveTimeout', async () => {
+        mock.sdk.onSave(() => new Promise(() => {}));
+        mock.host.save({messageId: 44});
+        await flushMicrotasks();
+
+        jest.advanceTimersByTime(999);
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([]);
+
+        jest.advanceTimersByTime(1);
+        await flushMicrotasks();
+
+        expect(mock.host.lastMessage('SaveFeedback')).toMatchObject({
+            correlationId: 44,
+            success: false,
+            message: 'Save handlers timed out after 1000 ms',
+        });
+    });
+
+    test('does not report after destroy', async () => {
+        let resolveSave;
+
+        mock.sdk.onSave(() => new Promise(resolve => {
+            resolveSave = resolve;
+        }));
+        mock.host.save({messageId: 45});
+        mock.sdk.destroy();
+        resolveSave();
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([]);
+    });
+
+    test('does not report without Save handlers', async () => {
+        mock.host.save({messageId: 46});
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([]);
+    });
+
+    test('does not wait for pattern and stream listeners', async () => {
+        const logger = jest.fn(() => new Promise(() => {}));
+        const unhandled = jest.fn();
+        const saves = mock.sdk.events('Save');
+        const next = saves.next();
+
+        mock.sdk.on('*', logger);
+        mock.sdk.on('S*', logger);
+        mock.sdk.onUnhandled(unhandled);
+        mock.host.save({messageId: 49});
+        await flushMicrotasks();
+
+        expect(logger).toHaveBeenCalledTimes(1);
+        await expect(next).resolves.toMatchObject({value: {name: 'Save', messageId: 49}});
+        expect(unhandled).not.toHaveBeenCalled();
+        expect(mock.host.messages('SaveFeedback')).toEqual([]);
+
+        let resolveSave;
+
+        mock.sdk.onSave(() => new Promise(resolve => {
+            resolveSave = resolve;
+        }));
+        mock.host.save({messageId: 50});
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([]);
+
+        resolveSave();
+        await flushMicrotasks();
+
+        expect(mock.host.messages('SaveFeedback')).toEqual([
+            expect.objectContaining({correlationId: 50, success: true}),
+        ]);
+        saves.return();
+    });
+
+    test('instances share one outcome and send one SaveFeedback', async () => {
+        const other = WidgetSDK.create({hostOrigins: mock.host.origin});
+        const idle = WidgetSDK.create({hostOrigins: mock.host.origin});
+
+        try {
+            mock.sdk.onSave(() => Promise.resolve());
+            other.onSave(() => Promise.reject(new Error('Storage is full')));
+            mock.host.save({messageId: 47});
+            await flushMicrotasks();
+
+            expect(mock.host.messages('SaveFeedback')).toEqual([
+                expect.objectContaining({correlationId: 47, success: false, message: 'Storage is full'}),
+            ]);
+        } finally {
+            other.destroy();
+            idle.destroy();
+        }
+    });
+
+    test('logs a SaveFeedback error', async () => {
+        jest.spyOn(mock.sdk, 'saveFeedback').mockImplementation(() => {
+            throw new Error('SaveFeedback is invalid');
+        });
+        mock.sdk.onSave(() => {});
+        mock.host.save({messageId: 48});
+        await flushMicrotasks();
+
+        expect(warnSpy).toHaveBeenCalledWith('[WidgetSDK]', 'SaveFeedback error: SaveFeedback is invalid');
+    });
+});
+
 describe('internal id helpers', () => {
     let sdk;
 
     beforeEach(() => {
-        sdk = window.WidgetSDK.create({debug: true});
+        sdk = WidgetSDK.create({debug: true});
     });
 
     afterEach(() => {
@@ -674,7 +1850,7 @@ describe('destroy()', () => {
     });
 
     test('clears listeners, rejects pending requests, removes event listener and logs', async () => {
-        const sdk = window.WidgetSDK.create({debug: true});
+        const sdk = WidgetSDK.create({debug: true});
         const logSpy = jest.spyOn(sdk, '_log');
 
         try {
@@ -685,7 +1861,9 @@ describe('destroy()', () => {
             await expect(promise).rejects.toMatchObject({name: 'SDKDestroyed'});
             expect(sdk._listeners.size).toBe(0);
             expect(sdk._pendingRequests.size).toBe(0);
-            expect(removeListenerSpy).toHaveBeenCalledWith('message', sdk._handleMessage);
+            const [, routerListener] = addListenerSpy.mock.calls.find(([type]) => type === 'message');
+
+            expect(removeListenerSpy).toHaveBeenCalledWith('message', routerListener);
             expect(logSpy).toHaveBeenCalledWith('SDK destroyed');
         } finally {
             logSpy.mockRestore();
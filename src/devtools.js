@@ -0,0 +1,11 @@
+import {DevtoolsPanel} from './DevtoolsPanel.js';
+import {registerDevtoolsPanel} from './registry.js';
+
+/**
+ * Entry point of development tools, kept out of the main bundle.
+ * Loading it registers the panel for create({devtools: true}), the panel can also be passed directly:
+ * create({devtools: DevtoolsPanel}).
+ */
+registerDevtoolsPanel(DevtoolsPanel);
+
+export {DevtoolsPanel};
@@ -0,0 +1,112 @@
+/**
+ * Base class for all SDK errors.
+ */
+export class WidgetSDKError extends Error {
+    /**
+     * @param {string} message Error text.
+     * @param {Object} [params] Error parameters.
+     * @param {string} [params.code] Error code.
+     * @param {string} [params.requestName] Name of the original request.
+     * @param {number} [params.messageId] messageId of the original request.
+     * @param {Array} [params.errors] errors[] entries from the host message.
+     * @param {Object} [params.rawMessage] Host message caused the error.
+     * @param {Error} [params.cause] Original error.
+     */
+    constructor(message, params = {}) {
+        super(message);
+
+        this.name = 'WidgetSDKError';
+        this.code = params.code || 'WIDGET_SDK_ERROR';
+        this.requestName = params.requestName || null;
+        this.messageId = params.messageId ?? null;
+        this.errors = (params.errors || []).map(entry => ({
+            ...entry,
+            code: entry && entry.code !== undefined ? entry.code : null,
+            message: entry && entry.error ? entry.error : ''
+        }));
+        this.details = params.errors || null;
+        this.rawMessage = params.rawMessage || null;
+
+        if (params.cause !== undefined) {
+            this.cause = params.cause;
+        }
+    }
+}
+
+/**
+ * The host rejected a request with InvalidMessageError.
+ */
+export class HostInvalidMessageError extends WidgetSDKError {
+    constructor(message, params = {}) {
+        super(message, {code: 'HOST_INVALID_MESSAGE', ...params});
+
+        this.name = 'InvalidMessageError';
+    }
+}
+
+/**
+ * An outgoing message does not match the protocol schema, checked before sending when validation is enabled.
+ * errors[] entries name the invalid field: {field, error}.
+ */
+export class MessageValidationError extends WidgetSDKError {
+    constructor(message, params = {}) {
+        super(message, {code: 'INVALID_MESSAGE', ...params});
+
+        this.name = 'MessageValidationError';
+    }
+}
+
+/**
+ * A popup opened with popups.open was closed with reject.
+ */
+export class PopupRejectedError extends WidgetSDKError {
+    constructor(message = 'Popup rejected', params = {}) {
+        super(message, {code: 'POPUP_REJECTED', ...params});
+
+        this.name = 'PopupRejectedError';
+    }
+}
+
+/**
+ * The message could not be delivered to the host.
+ */
+export class TransportError extends WidgetSDKError {
+    constructor(message, params = {}) {
+        super(message, {code: 'TRANSPORT_ERROR', ...params});
+
+        this.name = 'TransportError';
+    }
+}
+
+/**
+ * The request was pending when the SDK was destroyed.
+ */
+export class SDKDestroyedError extends WidgetSDKError {
+    constructor(message = 'SDK destroyed', params = {}) {
+        super(message, {code: 'SDK_DESTROYED', ...params});
+
+        this.name = 'SDKDestroyed';
+    }
+}
+
+/**
+ * The host did not respond within the request timeout.
+ */
+export class TimeoutError extends WidgetSDKError {
+    constructor(message, params = {}) {
+        super(message, {code: 'REQUEST_TIMEOUT', ...params});
+
+        this.name = 'RequestTimeout';
+    }
+}
+
+/**
+ * The request was cancelled with an AbortSignal.
+ */
+export class RequestAbortedError extends WidgetSDKError {
+    constructor(message = 'Request aborted', params = {}) {
+        super(message, {code: 'REQUEST_ABORTED', ...params});
+
+        this.name = 'RequestAborted';
+    }
+}
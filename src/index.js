@@ -1 +1,62 @@
-import './WidgetSDKInstance.js';
+import {WidgetSDKInstance} from './WidgetSDKInstance.js';
+import {MockHost} from './MockHost.js';
+import {getInstances, hasWindowRouter} from './registry.js';
+
+export {WidgetSDKInstance};
+export {Dialogs} from './Dialogs.js';
+export {DirtyTracker} from './DirtyTracker.js';
+export {LifecycleController} from './LifecycleController.js';
+export {ENTITY_ROUTES, Navigation} from './Navigation.js';
+export {Popups} from './Popups.js';
+export {WidgetContext} from './WidgetContext.js';
+export {ConsoleLogSink, LOG_LEVELS, MemoryLogSink} from './logger.js';
+export {IDEMPOTENT_REQUESTS, INTERACTIVE_REQUESTS, isTransientError} from './retry.js';
+export {UpdateQueue} from './UpdateQueue.js';
+export {EventIterator, EventObservable} from './streams.js';
+export {INCOMING_SCHEMAS, OUTGOING_SCHEMAS, PROTOCOL_VERSION, validateMessage} from './schemas.js';
+export {WindowTransport, MessagePortTransport, MemoryTransport} from './transports.js';
+export {
+    WidgetSDKError,
+    HostInvalidMessageError,
+    MessageValidationError,
+    PopupRejectedError,
+    TransportError,
+    SDKDestroyedError,
+    TimeoutError,
+    RequestAbortedError
+} from './errors.js';
+
+/**
+ * Creates an SDK instance. Warns if another instance already listens to the window:
+ * instances with their own transport do not share it.
+ * @param {Object} options Initialization options.
+ * @returns {WidgetSDKInstance} SDK instance.
+ */
+export function create(options) {
+    const hasActive = !(options && options.transport) && hasWindowRouter();
+    const instance = new WidgetSDKInstance(options);
+
+    if (hasActive) {
+        instance._log('Another SDK instance is already active, use WidgetSDK.getInstance() to share it', 'warn');
+    }
+
+    return instance;
+}
+
+/**
+ * Returns the first active SDK instance of the page or creates one.
+ * @param {Object} [options] Initialization options, used only if a new instance is created.
+ * @returns {WidgetSDKInstance} SDK instance.
+ */
+export function getInstance(options) {
+    const [instance] = getInstances();
+
+    return instance || new WidgetSDKInstance(options);
+}
+
+/**
+ * Utilities for widget tests.
+ */
+export const testing = {
+    MockHost
+};
@@ -0,0 +1,171 @@
+/**
+ * Log levels by priority.
+ */
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+const LOG_PREFIX = '[WidgetSDK]';
+
+/**
+ * Converts a level name to a known level, 'log' is an alias of 'debug'.
+ * @param {string} level Level name.
+ * @returns {string} Level.
+ */
+export function normalizeLevel(level) {
+    if (level === 'log') {
+        return 'debug';
+    }
+
+    return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? level : 'debug';
+}
+
+/**
+ * Sink writing entries to the console.
+ */
+export class ConsoleLogSink {
+    /**
+     * @param {Object} [options] Sink options.
+     * @param {string} [options.level] Minimum level, 'warn' by default.
+     */
+    constructor(options = {}) {
+        this.level = normalizeLevel(options.level || 'warn');
+    }
+
+    /**
+     * @param {Object} entry Log entry.
+     * @returns {void}
+     */
+    write(entry) {
+        if (entry.level === 'error') {
+            console.error(LOG_PREFIX, entry.message);
+        } else if (entry.level === 'warn') {
+            console.warn(LOG_PREFIX, entry.message);
+        } else {
+            console.log(LOG_PREFIX, entry.message);
+        }
+    }
+}
+
+/**
+ * Ring buffer keeping the last log entries in memory, e.g. for a "send logs to support" button.
+ */
+export class MemoryLogSink {
+    /**
+     * @param {Object} [options] Sink options.
+     * @param {number} [options.size] Maximum number of entries, 200 by default.
+     * @param {string} [options.level] Minimum level, 'debug' by default.
+     */
+    constructor(options = {}) {
+        this.size = options.size > 0 ? options.size : 200;
+        this.level = normalizeLevel(options.level || 'debug');
+        this._entries = [];
+    }
+
+    /**
+     * @param {Object} entry Log entry.
+     * @returns {void}
+     */
+    write(entry) {
+        this._entries.push(entry);
+
+        if (this._entries.length > this.size) {
+            this._entries.splice(0, this._entries.length - this.size);
+        }
+    }
+
+    /**
+     * Returns buffered entries, oldest first.
+     * @returns {Object[]} Log entries.
+     */
+    entries() {
+        return this._entries.slice();
+    }
+
+    /**
+     * Serializes buffered entries.
+     * @returns {string} JSON with log entries.
+     */
+    dump() {
+        return JSON.stringify(this._entries, null, 2);
+    }
+
+    /**
+     * Removes buffered entries.
+     * @returns {void}
+     */
+    clear() {
+        this._entries = [];
+    }
+}
+
+/**
+ * Writes structured entries to sinks. A sink is an object with write(entry) and optional level,
+ * or a function of the entry.
+ */
+export class Logger {
+    /**
+     * @param {Array} sinks Log sinks.
+     * @param {string} [defaultLevel] Level for sinks without their own level.
+     */
+    constructor(sinks, defaultLevel = 'warn') {
+        this.sinks = sinks.filter(Boolean).map(sink => ({
+            write: typeof sink === 'function' ? sink : entry => sink.write(entry),
+            level: normalizeLevel(sink.level || defaultLevel)
+        }));
+    }
+
+    /**
+     * Checks if any sink accepts the level.
+     * @param {string} level Level.
+     * @returns {boolean} True if the level is enabled.
+     */
+    isEnabled(level) {
+        const priority = LOG_LEVELS[normalizeLevel(level)];
+
+        return this.sinks.some(sink => LOG_LEVELS[sink.level] <= priority);
+    }
+
+    /**
+     * Writes an entry.
+     * @param {string} level Level.
+     * @param {string|Function} messageOrFn A string or a function that returns a string.
+     * @param {Object} [fields] Structured fields: direction, name, messageId, correlationId, latency, data.
+     * @returns {void}
+     */
+    log(level, messageOrFn, fields) {
+        const normalized = normalizeLevel(level);
+
+        if (!this.isEnabled(normalized)) {
+            return;
+        }
+
+        const entry = {
+            time: Date.now(),
+            level: normalized,
+            message: typeof messageOrFn === 'function' ? messageOrFn() : messageOrFn,
+            ...fields
+        };
+
+        Object.keys(entry).forEach(key => {
+            if (entry[key] === undefined) {
+                delete entry[key];
+            }
+        });
+
+        this.sinks.forEach(sink => {
+            if (LOG_LEVELS[sink.level] > LOG_LEVELS[normalized]) {
+                return;
+            }
+
+            try {
+                sink.write(entry);
+            } catch (e) {
+                // no-op
+            }
+        });
+    }
+}
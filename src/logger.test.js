@@ -0,0 +1,105 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+
+describe('MemoryLogSink', () => {
+    test('keeps the last entries', () => {
+        const sink = new WidgetSDK.MemoryLogSink({size: 2});
+
+        sink.write({message: 'one'});
+        sink.write({message: 'two'});
+        sink.write({message: 'three'});
+
+        expect(sink.entries()).toEqual([{message: 'two'}, {message: 'three'}]);
+        expect(JSON.parse(sink.dump())).toEqual([{message: 'two'}, {message: 'three'}]);
+
+        sink.clear();
+
+        expect(sink.entries()).toEqual([]);
+    });
+});
+
+describe('SDK logging', () => {
+    let sdk;
+
+    afterEach(() => {
+        sdk.destroy();
+    });
+
+    test('routes structured entries to the logger option by level', () => {
+        const logger = jest.fn();
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+        const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            sdk = WidgetSDK.create({logger, logLevel: 'debug'});
+            sdk.clearDirty();
+
+            expect(logSpy).not.toHaveBeenCalled();
+            expect(logger).toHaveBeenCalledWith(expect.objectContaining({
+                level: 'debug',
+                direction: 'out',
+                name: 'ClearDirty',
+                messageId: expect.any(Number),
+                message: expect.stringContaining('SDK -> '),
+                time: expect.any(Number),
+            }));
+        } finally {
+            postMessageSpy.mockRestore();
+            logSpy.mockRestore();
+        }
+    });
+
+    test('skips entries below the level and does not build lazy messages', () => {
+        const write = jest.fn();
+        const messageFn = jest.fn(() => 'debug message');
+
+        sdk = WidgetSDK.create({logger: {write, level: 'warn'}});
+        sdk._log(messageFn);
+        sdk._log('warning', 'warn');
+        sdk._log('failure', 'error');
+
+        expect(messageFn).not.toHaveBeenCalled();
+        expect(write.mock.calls.map(([entry]) => [entry.level, entry.message])).toEqual([
+            ['warn', 'warning'],
+            ['error', 'failure'],
+        ]);
+    });
+
+    test('logBuffer keeps all levels with latency of responses', () => {
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+        const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        try {
+            sdk = WidgetSDK.create({logBuffer: 10, logger: () => {}});
+
+            sdk.sendRequest({name: 'NavigateRequest', messageId: 5});
+            nowSpy.mockReturnValue(1250);
+            sdk._handleMessage({data: {name: 'NavigateResponse', correlationId: 5}});
+
+            expect(sdk.getLogs()).toEqual([
+                expect.objectContaining({direction: 'out', name: 'NavigateRequest', messageId: 5}),
+                expect.objectContaining({
+                    direction: 'in',
+                    name: 'NavigateResponse',
+                    correlationId: 5,
+                    latency: 250,
+                }),
+            ]);
+        } finally {
+            postMessageSpy.mockRestore();
+            nowSpy.mockRestore();
+        }
+    });
+
+    test('sink errors do not break the SDK', () => {
+        sdk = WidgetSDK.create({
+            logger: () => {
+                throw new Error('sink boom');
+            },
+        });
+
+        expect(() => sdk._log('warning', 'warn')).not.toThrow();
+        expect(sdk.getLogs()).toEqual([]);
+    });
+});
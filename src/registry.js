@@ -0,0 +1,229 @@
+import {WindowTransport} from './transports.js';
+
+/**
+ * Key of the page-wide registry. Symbol.for lets copies of the SDK from different bundles share it.
+ */
+const REGISTRY_KEY = Symbol.for('moysklad.widget-sdk.registry');
+
+/**
+ * Returns the registry shared by all SDK instances of the page.
+ * @returns {{lastMessageId: number, instances: WidgetSDKInstance[], router: Object|null, saves: Object[],
+ *     devtoolsPanel: Function|null}} Registry.
+ */
+function getRegistry() {
+    const root = typeof globalThis !== 'undefined' ? globalThis : {};
+
+    if (!root[REGISTRY_KEY]) {
+        root[REGISTRY_KEY] = {
+            lastMessageId: 0,
+            instances: [],
+            router: null,
+            saves: [],
+            devtoolsPanel: null
+        };
+    }
+
+    if (!root[REGISTRY_KEY].saves) {
+        root[REGISTRY_KEY].saves = [];
+    }
+
+    return root[REGISTRY_KEY];
+}
+
+/**
+ * Generates a messageId that is unique for all SDK instances of the page.
+ * @returns {number} Message ID.
+ */
+export function nextMessageId() {
+    return ++getRegistry().lastMessageId;
+}
+
+/**
+ * Registers the DevtoolsPanel class, so the devtools: true option can find it.
+ * Called by the devtools entry point when it is loaded.
+ * @param {Function} Panel DevtoolsPanel class.
+ * @returns {void}
+ */
+export function registerDevtoolsPanel(Panel) {
+    getRegistry().devtoolsPanel = Panel;
+}
+
+/**
+ * Returns the DevtoolsPanel class registered by the devtools entry point.
+ * @returns {Function|null} DevtoolsPanel class or null if the entry point is not loaded.
+ */
+export function getDevtoolsPanel() {
+    return getRegistry().devtoolsPanel || null;
+}
+
+/**
+ * Adds an SDK instance to the registry.
+ * @param {WidgetSDKInstance} instance SDK instance.
+ * @returns {void}
+ */
+export function registerInstance(instance) {
+    getRegistry().instances.push(instance);
+}
+
+/**
+ * Removes an SDK instance from the registry.
+ * @param {WidgetSDKInstance} instance SDK instance.
+ * @returns {void}
+ */
+export function unregisterInstance(instance) {
+    const {instances} = getRegistry();
+    const index = instances.indexOf(instance);
+
+    if (index > -1) {
+        instances.splice(index, 1);
+    }
+}
+
+/**
+ * Returns active SDK instances in creation order.
+ * @returns {WidgetSDKInstance[]} Copy of the list of instances.
+ */
+export function getInstances() {
+    return getRegistry().instances.slice();
+}
+
+/**
+ * Delivers a message event: a response goes only to the member that owns its correlationId,
+ * other messages go to all members.
+ * @param {Object} router Router.
+ * @param {MessageEvent} event Message event.
+ * @returns {void}
+ */
+function route(router, event) {
+    const data = event && event.data;
+    const correlationId = data && typeof data === 'object' ? data.correlationId : undefined;
+    const members = router.members.slice();
+    const owner = correlationId !== undefined && correlationId !== null
+        ? members.find(member => member.owns(correlationId))
+        : undefined;
+
+    (owner ? [owner] : members).forEach(member => member.handler(event));
+}
+
+/**
+ * Joins the message router of the window: one WindowTransport and one message listener for all instances.
+ * The transport is disposed when the last member leaves. If the transport cannot subscribe, the router is not
+ * created and the member gets the transport for sending only, with the subscription error.
+ * @param {Object} member Router member.
+ * @param {Function} member.handler Message event handler.
+ * @param {Function} member.owns Returns true if the member waits for a response with the correlationId.
+ * @returns {{transport: WindowTransport, leave: Function, error: Error|null}} Shared transport,
+ *     function that removes the member and the subscription error.
+ */
+export function joinWindowRouter(member) {
+    const registry = getRegistry();
+
+    if (!registry.router) {
+        const router = {
+            transport: new WindowTransport(),
+            members: []
+        };
+
+        try {
+            router.unsubscribe = router.transport.subscribe(event => route(router, event));
+        } catch (error) {
+            return {transport: router.transport, leave: () => {}, error};
+        }
+
+        registry.router = router;
+    }
+
+    const router = registry.router;
+
+    router.members.push(member);
+
+    return {
+        transport: router.transport,
+        error: null,
+        leave: () => {
+            const index = router.members.indexOf(member);
+
+            if (index > -1) {
+                router.members.splice(index, 1);
+            }
+
+            if (!router.members.length && registry.router === router) {
+                router.unsubscribe();
+                router.transport.dispose();
+                registry.router = null;
+            }
+        }
+    };
+}
+
+/**
+ * Tells whether instances use the message router of the window.
+ * @returns {boolean} True if the router has members.
+ */
+export function hasWindowRouter() {
+    const {router} = getRegistry();
+
+    return !!router && router.members.length > 0;
+}
+
+/**
+ * Joins an instance to the handling of a Save message. Instances that got the same Save through one transport
+ * share one outcome: the save fails if any of them fails. When the last of them reports, the outcome is emitted
+ * to them as saveOutcome and one SaveFeedback is sent through the first instance that is not destroyed.
+ * @param {WidgetSDKInstance} instance SDK instance that runs Save listeners.
+ * @param {Object} message Save message.
+ * @returns {Function} Function that reports the outcome of the instance: error text or null on success.
+ */
+export function joinSave(instance, message) {
+    const {saves} = getRegistry();
+    let save = saves.find(entry => entry.transport === instance.transport && entry.messageId === message.messageId);
+
+    if (!save) {
+        save = {
+            transport: instance.transport,
+            messageId: message.messageId,
+            instances: [],
+            pending: 0,
+            errorText: null
+        };
+        saves.push(save);
+    }
+
+    save.instances.push(instance);
+    save.pending++;
+
+    let reported = false;
+
+    return errorText => {
+        if (reported) {
+            return;
+        }
+
+        reported = true;
+        save.pending--;
+
+        if (errorText !== null && save.errorText === null) {
+            save.errorText = errorText;
+        }
+
+        if (save.pending > 0) {
+            return;
+        }
+
+        saves.splice(saves.indexOf(save), 1);
+
+        const active = save.instances.filter(item => !item._destroyed);
+        const outcome = {
+            name: 'saveOutcome',
+            messageId: save.messageId,
+            success: save.errorText === null,
+            message: save.errorText ?? undefined
+        };
+
+        active.forEach(item => item._emitInternal('saveOutcome', outcome));
+
+        if (active.length) {
+            active[0].saveFeedback(outcome.success, outcome.message, save.messageId);
+        }
+    };
+}
@@ -0,0 +1,116 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {useMockHost} from './testUtils.js';
+
+describe('instance registry', () => {
+    const mock = useMockHost({host: {autoRespond: false}, sdk: false});
+    let instances;
+    let warnSpy;
+
+    const create = options => {
+        const sdk = WidgetSDK.create({hostOrigins: mock.host.origin, ...options});
+
+        instances.push(sdk);
+
+        return sdk;
+    };
+
+    beforeEach(() => {
+        instances = [];
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        instances.forEach(sdk => sdk.destroy());
+        warnSpy.mockRestore();
+    });
+
+    test('instances share one message listener and one messageId space', () => {
+        const addListenerSpy = jest.spyOn(window, 'addEventListener');
+
+        try {
+            const first = create();
+            const second = create();
+
+            first.sendRequest({name: 'CustomRequest'}).catch(() => {});
+            second.sendRequest({name: 'CustomRequest'}).catch(() => {});
+
+            const ids = mock.host.messages('CustomRequest').map(message => message.messageId);
+
+            expect(new Set(ids).size).toBe(2);
+            expect(addListenerSpy.mock.calls.filter(([type]) => type === 'message')).toHaveLength(1);
+        } finally {
+            addListenerSpy.mockRestore();
+        }
+    });
+
+    test('delivers a response only to the instance that sent the request', async () => {
+        const first = create();
+        const second = create();
+        const firstListener = jest.fn();
+        const mismatch = jest.fn();
+        const openListener = jest.fn();
+
+        first.on('CustomResponse', firstListener);
+        first.on('protocolMismatch', mismatch);
+        first.onOpen(openListener);
+        second.onOpen(openListener);
+
+        const request = second.sendRequest({name: 'CustomRequest'});
+
+        mock.host.reply(mock.host.lastMessage('CustomRequest'), {value: 1});
+        mock.host.open({extensionPoint: 'document.customerorder.edit'});
+
+        await expect(request).resolves.toMatchObject({name: 'CustomResponse', value: 1});
+        expect(firstListener).not.toHaveBeenCalled();
+        expect(mismatch).not.toHaveBeenCalled();
+        expect(openListener).toHaveBeenCalledTimes(2);
+    });
+
+    test('create warns about an active instance, getInstance reuses it', () => {
+        const first = create();
+
+        expect(WidgetSDK.getInstance({debug: true})).toBe(first);
+        expect(warnSpy).not.toHaveBeenCalled();
+
+        create();
+
+        expect(warnSpy).toHaveBeenCalledWith(
+            '[WidgetSDK]',
+            'Another SDK instance is already active, use WidgetSDK.getInstance() to share it'
+        );
+    });
+
+    test('create does not warn about instances with their own transport', () => {
+        const [widgetTransport] = WidgetSDK.MemoryTransport.pair();
+
+        create({transport: widgetTransport});
+        create();
+        create({transport: WidgetSDK.MemoryTransport.pair()[0]});
+
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('getInstance creates an instance when all instances are destroyed', () => {
+        const removeListenerSpy = jest.spyOn(window, 'removeEventListener');
+
+        try {
+            const destroyed = WidgetSDK.create();
+
+            destroyed.destroy();
+
+            expect(removeListenerSpy).toHaveBeenCalledWith('message', expect.any(Function));
+
+            const sdk = WidgetSDK.getInstance({hostOrigins: mock.host.origin});
+
+            instances.push(sdk);
+
+            expect(sdk).toBeInstanceOf(WidgetSDK.WidgetSDKInstance);
+            expect(sdk).not.toBe(destroyed);
+            expect(WidgetSDK.getInstance()).toBe(sdk);
+        } finally {
+            removeListenerSpy.mockRestore();
+        }
+    });
+});
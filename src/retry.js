@@ -0,0 +1,70 @@
+import {TimeoutError, TransportError} from './errors.js';
+
+/**
+ * Requests that are retried by the retry option without a per-call override.
+ */
+export const IDEMPOTENT_REQUESTS = ['SelectGoodFolderRequest', 'NavigateRequest'];
+
+/**
+ * Requests answered after user input. Their timeout means the user has not finished yet,
+ * a new attempt would open a second dialog and the answer to the first one would be lost.
+ */
+export const INTERACTIVE_REQUESTS = ['SelectGoodFolderRequest', 'ShowDialogRequest', 'ShowPopupRequest'];
+
+/**
+ * Default retry predicate. Transport failures are transient, except an unresolved host origin: it is a configuration
+ * error and a new attempt fails the same way. Timeouts are transient except for interactive requests.
+ * Host errors are permanent, a custom shouldRetry can retry them by errors[].code.
+ * @param {Error} error Request error.
+ * @param {number} [attempt] Number of the failed attempt.
+ * @param {Object} [request] Request message, error.requestName is used without it.
+ * @returns {boolean} True if the request may be retried.
+ */
+export function isTransientError(error, attempt = undefined, request = undefined) {
+    if (error instanceof TransportError) {
+        return error.code !== 'HOST_ORIGIN_UNRESOLVED';
+    }
+
+    if (error instanceof TimeoutError) {
+        return !INTERACTIVE_REQUESTS.includes(request ? request.name : error.requestName);
+    }
+
+    return false;
+}
+
+/**
+ * Normalizes a retry policy.
+ * @param {number|Object} retry Number of retries or policy options.
+ * @param {Object} [base] Policy to extend.
+ * @returns {Object} Retry policy.
+ */
+export function normalizeRetryPolicy(retry, base = {}) {
+    const options = typeof retry === 'number' ? {retries: retry} : retry || {};
+    const policy = {
+        retries: 0,
+        minDelay: 200,
+        maxDelay: 5000,
+        factor: 2,
+        jitter: true,
+        requests: IDEMPOTENT_REQUESTS,
+        shouldRetry: isTransientError,
+        ...base,
+        ...options
+    };
+
+    policy.retries = Math.max(0, Math.floor(policy.retries) || 0);
+
+    return policy;
+}
+
+/**
+ * Returns the delay before the next attempt: exponential backoff limited by maxDelay, with optional jitter.
+ * @param {Object} policy Retry policy.
+ * @param {number} attempt Number of the failed attempt, starting from 1.
+ * @returns {number} Delay in ms.
+ */
+export function getRetryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+}
@@ -0,0 +1,238 @@
+/* global __WIDGET_SDK_VALIDATION__ */
+
+/**
+ * Build flag for payload validation. Production builds define __WIDGET_SDK_VALIDATION__ = false
+ * (terser global_defs, webpack DefinePlugin, rollup replace), so the checks and schemas are removed as dead code.
+ */
+export const VALIDATION_ENABLED = typeof __WIDGET_SDK_VALIDATION__ === 'undefined' || !!__WIDGET_SDK_VALIDATION__;
+
+/**
+ * Protocol version described by the schemas.
+ */
+export const PROTOCOL_VERSION = '1.0';
+
+const MESSAGE_ID = {type: 'number', required: true};
+const OPTIONAL_MESSAGE_ID = {type: 'number'};
+
+/**
+ * Schemas of outgoing protocol messages by message name.
+ * Field rules: type ('string', 'number', 'boolean', 'object', 'array', 'any'), required, nullable, nonEmpty,
+ * oneOf, minItems and fields for items of arrays.
+ */
+export const OUTGOING_SCHEMAS = {
+    ShowDialogRequest: {
+        dialogText: {type: 'string', required: true},
+        buttons: {
+            type: 'array',
+            required: true,
+            minItems: 1,
+            fields: {
+                name: {type: 'string', required: true, nonEmpty: true},
+                caption: {type: 'string', required: true}
+            }
+        }
+    },
+    NavigateRequest: {
+        path: {type: 'string', required: true, nonEmpty: true},
+        target: {type: 'string', oneOf: ['blank', 'self']}
+    },
+    UpdateRequest: {
+        updateState: {type: 'object', required: true}
+    },
+    ShowPopupRequest: {
+        popupName: {type: 'string', required: true, nonEmpty: true},
+        popupParameters: {type: 'any'}
+    },
+    ValidationFeedback: {
+        correlationId: MESSAGE_ID,
+        valid: {type: 'boolean', required: true},
+        message: {type: 'string'}
+    },
+    SetDirty: {
+        openMessageId: MESSAGE_ID
+    },
+    SaveFeedback: {
+        correlationId: MESSAGE_ID,
+        success: {type: 'boolean', required: true},
+        message: {type: 'string'}
+    }
+};
+
+/**
+ * Schemas of host events and responses by message name. Fields missing in a schema are reported as unknown.
+ */
+export const INCOMING_SCHEMAS = {
+    Open: {
+        messageId: MESSAGE_ID,
+        extensionPoint: {type: 'string', required: true, nonEmpty: true},
+        objectId: {type: 'string'},
+        displayMode: {type: 'string'},
+        protocolVersion: {type: 'string'}
+    },
+    OpenPopup: {
+        messageId: MESSAGE_ID,
+        popupName: {type: 'string', required: true, nonEmpty: true},
+        popupParameters: {type: 'any'},
+        protocolVersion: {type: 'string'}
+    },
+    Save: {
+        messageId: MESSAGE_ID,
+        objectId: {type: 'string'}
+    },
+    Change: {
+        messageId: MESSAGE_ID,
+        extensionPoint: {type: 'string'},
+        objectId: {type: 'string'},
+        objectState: {type: 'object'}
+    },
+    ShowDialogResponse: {
+        messageId: OPTIONAL_MESSAGE_ID,
+        correlationId: MESSAGE_ID,
+        result: {type: 'string', nullable: true}
+    },
+    SelectGoodFolderResponse: {
+        messageId: OPTIONAL_MESSAGE_ID,
+        correlationId: MESSAGE_ID,
+        selected: {type: 'boolean'},
+        goodFolder: {type: 'object', nullable: true}
+    },
+    NavigateResponse: {
+        messageId: OPTIONAL_MESSAGE_ID,
+        correlationId: MESSAGE_ID
+    },
+    UpdateResponse: {
+        messageId: OPTIONAL_MESSAGE_ID,
+        correlationId: MESSAGE_ID,
+        updateState: {type: 'object'}
+    },
+    ShowPopupResponse: {
+        messageId: OPTIONAL_MESSAGE_ID,
+        correlationId: MESSAGE_ID,
+        popupName: {type: 'string', required: true},
+        popupResponse: {type: 'any'}
+    },
+    InvalidMessageError: {
+        messageId: OPTIONAL_MESSAGE_ID,
+        correlationId: MESSAGE_ID,
+        message: {type: 'string'},
+        errors: {
+            type: 'array',
+            fields: {
+                error: {type: 'string', required: true}
+            }
+        }
+    }
+};
+
+/**
+ * Returns the schema type of a value.
+ * @param {*} value Value.
+ * @returns {string} Type name.
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+
+    if (value === null) {
+        return 'null';
+    }
+
+    return typeof value;
+}
+
+/**
+ * Checks fields of an object against field rules.
+ * @param {Object} object Checked object.
+ * @param {Object} fields Field rules by field name.
+ * @param {string} path Path of the object, empty for the message itself.
+ * @param {Array} errors Found violations.
+ * @returns {void}
+ */
+function checkFields(object, fields, path, errors) {
+    Object.keys(fields).forEach(key => {
+        const rule = fields[key];
+        const field = path ? `${path}.${key}` : key;
+        const value = object[key];
+        const type = typeOf(value);
+
+        if (value === undefined) {
+            if (rule.required) {
+                errors.push({field, error: `${field} is required`});
+            }
+
+            return;
+        }
+
+        if (value === null && rule.nullable) {
+            return;
+        }
+
+        if (rule.type !== 'any' && type !== rule.type) {
+            const article = rule.type === 'array' || rule.type === 'object' ? 'an' : 'a';
+
+            errors.push({field, error: `${field} must be ${article} ${rule.type}, got ${type}`});
+
+            return;
+        }
+
+        if (rule.nonEmpty && value === '') {
+            errors.push({field, error: `${field} must not be empty`});
+        }
+
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            const values = rule.oneOf.join(', ');
+
+            errors.push({field, error: `${field} must be one of ${values}, got ${JSON.stringify(value)}`});
+        }
+
+        if (rule.type === 'array') {
+            if (rule.minItems && value.length < rule.minItems) {
+                errors.push({field, error: `${field} must have at least ${rule.minItems} item(s)`});
+            }
+
+            if (rule.fields) {
+                value.forEach((item, index) => {
+                    const itemPath = `${field}[${index}]`;
+
+                    if (typeOf(item) !== 'object') {
+                        errors.push({field: itemPath, error: `${itemPath} must be an object, got ${typeOf(item)}`});
+                    } else {
+                        checkFields(item, rule.fields, itemPath, errors);
+                    }
+                });
+            }
+        }
+    });
+}
+
+/**
+ * Checks a message against the schema of its name. Messages without a schema are not checked.
+ * @param {Object} message Protocol message.
+ * @param {Object} [schemas] Schemas by message name, OUTGOING_SCHEMAS by default.
+ * @param {Object} [options] Check options.
+ * @param {boolean} [options.unknownFields] Report fields missing in the schema, marked with unknown: true.
+ * @returns {Array<{field: string, error: string}>} Violations, empty for a valid message.
+ */
+export function validateMessage(message, schemas = OUTGOING_SCHEMAS, options = {}) {
+    const schema = message && schemas[message.name];
+    const errors = [];
+
+    if (!schema) {
+        return errors;
+    }
+
+    checkFields(message, schema, '', errors);
+
+    if (options.unknownFields) {
+        Object.keys(message)
+            .filter(key => key !== 'name' && !Object.prototype.hasOwnProperty.call(schema, key))
+            .forEach(field => errors.push({
+                field,
+                error: `${field} is not in the ${message.name} schema`,
+                unknown: true
+            }));
+    }
+
+    return errors;
+}
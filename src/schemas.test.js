@@ -0,0 +1,223 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+
+describe('validateMessage', () => {
+    const fields = message => WidgetSDK.validateMessage(message).map(entry => entry.field);
+
+    test('accepts valid messages and skips messages without a schema', () => {
+        expect(WidgetSDK.validateMessage({
+            name: 'ShowDialogRequest',
+            dialogText: 'Delete?',
+            buttons: [{name: 'Yes', caption: 'Да'}],
+        })).toEqual([]);
+        expect(WidgetSDK.validateMessage({name: 'NavigateRequest', path: '/entity', target: 'self'})).toEqual([]);
+        expect(WidgetSDK.validateMessage({name: 'ShowPopupRequest', popupName: 'Picker', popupParameters: 5}))
+            .toEqual([]);
+        expect(WidgetSDK.validateMessage({name: 'ClearDirty'})).toEqual([]);
+    });
+
+    test('names invalid fields, including fields of array items', () => {
+        expect(WidgetSDK.validateMessage({
+            name: 'ShowDialogRequest',
+            dialogText: 42,
+            buttons: [{name: 'Yes', caption: 'Да'}, {name: '', caption: 'Нет'}, 'Cancel'],
+        })).toEqual([
+            {field: 'dialogText', error: 'dialogText must be a string, got number'},
+            {field: 'buttons[1].name', error: 'buttons[1].name must not be empty'},
+            {field: 'buttons[2]', error: 'buttons[2] must be an object, got string'},
+        ]);
+        expect(WidgetSDK.validateMessage({name: 'NavigateRequest', path: '/entity', target: 'new'})).toEqual([
+            {field: 'target', error: 'target must be one of blank, self, got "new"'},
+        ]);
+        expect(fields({name: 'ShowDialogRequest', dialogText: 'Text', buttons: []})).toEqual(['buttons']);
+        expect(fields({name: 'UpdateRequest', updateState: [1]})).toEqual(['updateState']);
+        expect(fields({name: 'ShowPopupRequest'})).toEqual(['popupName']);
+        expect(fields({name: 'ValidationFeedback', correlationId: '1', valid: 'yes'}))
+            .toEqual(['correlationId', 'valid']);
+        expect(fields({name: 'SetDirty'})).toEqual(['openMessageId']);
+    });
+});
+
+describe('outgoing message validation', () => {
+    let sdk;
+    let postMessageSpy;
+    let errorSpy;
+
+    beforeEach(() => {
+        postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        postMessageSpy.mockRestore();
+        errorSpy.mockRestore();
+    });
+
+    test('is enabled only by the validate option', () => {
+        [
+            [undefined, false],
+            [{debug: true}, false],
+            [{validate: true}, true],
+        ].forEach(([options, expected]) => {
+            sdk = WidgetSDK.create(options);
+
+            expect(sdk.validate).toBe(expected);
+
+            sdk.destroy();
+        });
+    });
+
+    test('rejects invalid requests before sending', async () => {
+        sdk = WidgetSDK.create({validate: true});
+
+        const error = await sdk.navigateTo('/entity', 'new').catch(e => e);
+
+        expect(error).toBeInstanceOf(WidgetSDK.MessageValidationError);
+        expect(error).toMatchObject({
+            name: 'MessageValidationError',
+            code: 'INVALID_MESSAGE',
+            requestName: 'NavigateRequest',
+            message: 'Invalid NavigateRequest: target must be one of blank, self, got "new"',
+            errors: [expect.objectContaining({field: 'target'})],
+        });
+        await expect(sdk.showDialog('Text', [])).rejects.toThrow('buttons must have at least 1 item(s)');
+        await expect(sdk.update()).rejects.toThrow('updateState is required');
+        expect(postMessageSpy).not.toHaveBeenCalled();
+        expect(sdk._pendingRequests.size).toBe(0);
+        expect(errorSpy).toHaveBeenCalledWith('[WidgetSDK]', error.message);
+    });
+
+    test('throws for invalid messages', () => {
+        sdk = WidgetSDK.create({validate: true});
+        sdk._handleMessage({data: {name: 'Change', messageId: 3}});
+
+        expect(() => sdk.setDirty('1')).toThrow('Invalid SetDirty: openMessageId must be a number, got string');
+        expect(() => sdk.validationFeedback(false, {text: 'Bad'})).toThrow(WidgetSDK.MessageValidationError);
+        expect(postMessageSpy).not.toHaveBeenCalled();
+    });
+
+    test('does not check messages when disabled', () => {
+        sdk = WidgetSDK.create();
+
+        expect(sdk.setDirty('1')).toMatchObject({name: 'SetDirty', openMessageId: '1'});
+        expect(postMessageSpy).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('incoming message checks', () => {
+    let sdk;
+    let warnSpy;
+    let mismatches;
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        sdk = WidgetSDK.create();
+        mismatches = [];
+        sdk.on('protocolMismatch', event => mismatches.push(event));
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        warnSpy.mockRestore();
+    });
+
+    test('accepts valid events and detects the protocol version', () => {
+        expect(sdk.protocolVersion).toBeNull();
+
+        sdk._handleMessage({
+            data: {name: 'Open', messageId: 1, extensionPoint: 'document.customerorder.edit', objectId: 'id'},
+        });
+        sdk._handleMessage({data: {name: 'Change', messageId: 2, objectState: {sum: 1}}});
+        sdk._handleMessage({data: {name: 'Save', messageId: 3}});
+
+        expect(sdk.protocolVersion).toBe('unknown');
+        expect(mismatches).toEqual([]);
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('reports invalid and unknown fields but still delivers the event', () => {
+        const onOpen = jest.fn();
+        const message = {name: 'Open', messageId: 1, extensionPoint: 42, entityMeta: {}};
+
+        sdk.onOpen(onOpen);
+        sdk._handleMessage({data: message});
+
+        expect(onOpen).toHaveBeenCalledWith(message);
+        expect(mismatches).toEqual([{
+            name: 'protocolMismatch',
+            messageName: 'Open',
+            protocolVersion: 'unknown',
+            violations: [
+                {field: 'extensionPoint', error: 'extensionPoint must be a string, got number'},
+                {field: 'entityMeta', error: 'entityMeta is not in the Open schema', unknown: true},
+            ],
+            rawMessage: message,
+        }]);
+        expect(warnSpy).not.toHaveBeenCalled();
+    });
+
+    test('logs mismatches when validate is on', () => {
+        const checked = WidgetSDK.create({validate: true});
+
+        try {
+            checked._handleMessage({data: {name: 'Open', messageId: 1, extensionPoint: 42, entityMeta: {}}});
+
+            expect(warnSpy).toHaveBeenCalledWith('[WidgetSDK]', 'Protocol mismatch in Open: '
+                + 'extensionPoint must be a string, got number; entityMeta is not in the Open schema');
+        } finally {
+            checked.destroy();
+        }
+    });
+
+    test('checks messages after incoming middleware', () => {
+        sdk.use({
+            incoming(message, next) {
+                if (message.name !== 'Close') {
+                    next({...message, extensionPoint: 'document.customerorder.edit'});
+                }
+            },
+        });
+        sdk._handleMessage({data: {name: 'Close', messageId: 1}});
+        sdk._handleMessage({data: {name: 'Open', messageId: 2}});
+
+        expect(mismatches).toEqual([]);
+    });
+
+    test('reports unknown events and unsupported protocol versions', () => {
+        sdk._handleMessage({data: {name: 'Close', messageId: 1}});
+        sdk._handleMessage({data: {name: 'OpenPopup', messageId: 2, popupName: 'Picker', protocolVersion: '2.0'}});
+
+        expect(sdk.protocolVersion).toBe('2.0');
+        expect(mismatches.map(event => [event.messageName, event.violations])).toEqual([
+            ['Close', [{field: 'name', error: 'Unknown event Close'}]],
+            ['OpenPopup', [{field: 'protocolVersion', error: 'protocolVersion 2.0 is not supported, expected 1.0'}]],
+        ]);
+    });
+
+    test('checks known responses and skips responses to custom requests', async () => {
+        const postMessageSpy = jest.spyOn(window, 'postMessage').mockImplementation(() => {});
+
+        try {
+            const custom = sdk.sendRequest({name: 'CustomRequest', messageId: 10});
+            const dialog = sdk.sendRequest({name: 'ShowDialogRequest', messageId: 11});
+
+            sdk._handleMessage({data: {name: 'CustomResponse', correlationId: 10, payload: 1}});
+            sdk._handleMessage({data: {name: 'ShowDialogResponse', correlationId: 11, result: ['Yes']}});
+
+            const update = sdk.sendRequest({name: 'UpdateRequest', messageId: 12, updateState: {}});
+
+            sdk._handleMessage({data: {name: 'InvalidMessageError', correlationId: 12, message: 'Bad state'}});
+
+            await expect(update).rejects.toThrow('Bad state');
+            await expect(custom).resolves.toMatchObject({payload: 1});
+            await expect(dialog).resolves.toMatchObject({result: ['Yes']});
+            expect(mismatches.map(event => [event.messageName, event.violations.map(entry => entry.field)])).toEqual([
+                ['ShowDialogResponse', ['result']],
+            ]);
+        } finally {
+            postMessageSpy.mockRestore();
+        }
+    });
+});
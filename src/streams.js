@@ -0,0 +1,262 @@
+import {RequestAbortedError, SDKDestroyedError, TimeoutError} from './errors.js';
+
+/**
+ * Async iterator over events of one name. Events are buffered from the moment the iterator is created.
+ * The iterator ends on return(), on the abort signal and when the SDK is destroyed.
+ */
+export class EventIterator {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     * @param {string} name Event name.
+     * @param {Object} [options] Iterator options.
+     * @param {number} [options.bufferSize] Max events waiting to be read, 100 by default.
+     *                                      The oldest event is dropped on overflow.
+     * @param {AbortSignal} [options.signal] Signal to end the iteration.
+     */
+    constructor(sdk, name, options = {}) {
+        this.sdk = sdk;
+        this.name = name;
+        this.bufferSize = options.bufferSize > 0 ? options.bufferSize : 100;
+        this.closed = false;
+
+        this._buffer = [];
+        this._waiting = [];
+        this._signal = options.signal || null;
+        this._onAbort = () => this.close();
+        this._unsubscribe = sdk._onStream(name, event => this._push(event));
+
+        sdk._streams.add(this);
+
+        if (this._signal) {
+            this._signal.addEventListener('abort', this._onAbort);
+        }
+
+        if (sdk._destroyed || (this._signal && this._signal.aborted)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Returns the iterator itself, for for await...of.
+     * @returns {EventIterator} This iterator.
+     */
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+     * Returns the next event, waits for it if the buffer is empty.
+     * @returns {Promise<{value: Object, done: boolean}>} Iterator result.
+     */
+    next() {
+        if (this._buffer.length) {
+            return Promise.resolve({value: this._buffer.shift(), done: false});
+        }
+
+        if (this.closed) {
+            return Promise.resolve({value: undefined, done: true});
+        }
+
+        return new Promise(resolve => {
+            this._waiting.push(resolve);
+        });
+    }
+
+    /**
+     * Ends the iteration, called by for await...of on break.
+     * @returns {Promise<{value: undefined, done: boolean}>} Final iterator result.
+     */
+    return() {
+        this.close();
+
+        return Promise.resolve({value: undefined, done: true});
+    }
+
+    /**
+     * Hands an event to a waiting next() or buffers it.
+     * @param {Object} event Event.
+     * @returns {void}
+     */
+    _push(event) {
+        if (this._waiting.length) {
+            this._waiting.shift()({value: event, done: false});
+
+            return;
+        }
+
+        if (this._buffer.length >= this.bufferSize) {
+            this._buffer.shift();
+            this.sdk._log(`events(${this.name}): buffer is full, the oldest event is dropped`, 'warn');
+        }
+
+        this._buffer.push(event);
+    }
+
+    /**
+     * Unsubscribes and ends waiting next() calls. Buffered events can still be read.
+     * @returns {void}
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+
+        this.closed = true;
+        this._unsubscribe();
+        this.sdk._streams.delete(this);
+
+        if (this._signal) {
+            this._signal.removeEventListener('abort', this._onAbort);
+        }
+
+        this._waiting.splice(0).forEach(resolve => resolve({value: undefined, done: true}));
+    }
+}
+
+/**
+ * Minimal Observable of events of one name, compatible with RxJS from() and other Symbol.observable consumers.
+ * Each subscription listens independently and completes when the SDK is destroyed.
+ */
+export class EventObservable {
+    /**
+     * @param {WidgetSDKInstance} sdk SDK instance.
+     * @param {string} name Event name.
+     */
+    constructor(sdk, name) {
+        this.sdk = sdk;
+        this.name = name;
+    }
+
+    /**
+     * Returns the observable itself, for interop with Observable libraries.
+     * @returns {EventObservable} This observable.
+     */
+    [Symbol.observable || '@@observable']() {
+        return this;
+    }
+
+    /**
+     * Subscribes an observer.
+     * @param {Object|Function} [observerOrNext] Observer {next, error, complete} or a next callback.
+     * @param {Function} [error] Error callback, not called by host events.
+     * @param {Function} [complete] Complete callback, called when the SDK is destroyed.
+     * @returns {{closed: boolean, unsubscribe: Function}} Subscription.
+     */
+    subscribe(observerOrNext, error, complete) {
+        const observer = typeof observerOrNext === 'function' || !observerOrNext
+            ? {next: observerOrNext, error, complete}
+            : observerOrNext;
+        const sdk = this.sdk;
+        const subscription = {
+            closed: false,
+            unsubscribe: () => {
+                if (subscription.closed) {
+                    return;
+                }
+
+                subscription.closed = true;
+                unsubscribe();
+                sdk._streams.delete(stream);
+            }
+        };
+        const stream = {
+            close: () => {
+                if (!subscription.closed) {
+                    subscription.unsubscribe();
+
+                    if (observer.complete) {
+                        observer.complete();
+                    }
+                }
+            }
+        };
+        const unsubscribe = sdk._onStream(this.name, event => {
+            if (observer.next) {
+                observer.next(event);
+            }
+        });
+
+        sdk._streams.add(stream);
+
+        if (sdk._destroyed) {
+            stream.close();
+        }
+
+        return subscription;
+    }
+}
+
+/**
+ * Waits for the next event of a name.
+ * @param {WidgetSDKInstance} sdk SDK instance.
+ * @param {string} name Event name.
+ * @param {Object} [options] Wait options.
+ * @param {Function} [options.filter] Predicate, events it rejects are skipped. A thrown error rejects the promise.
+ * @param {number} [options.timeout] Timeout in ms, 0 or no value waits without a timeout.
+ * @param {AbortSignal} [options.signal] Signal to stop waiting.
+ * @returns {Promise<Object>} Promise with the event.
+ */
+export function waitForEvent(sdk, name, options = {}) {
+    const {filter, timeout, signal} = options;
+
+    if (sdk._destroyed) {
+        return Promise.reject(new SDKDestroyedError(undefined, {requestName: name}));
+    }
+
+    if (signal && signal.aborted) {
+        return Promise.reject(new RequestAbortedError(undefined, {requestName: name}));
+    }
+
+    return new Promise((resolve, reject) => {
+        let timerId = null;
+        let settled = false;
+
+        const onAbort = () => stream.finish(reject, new RequestAbortedError(undefined, {requestName: name}));
+        const stream = {
+            finish: (settle, value) => {
+                if (settled) {
+                    return;
+                }
+
+                settled = true;
+                clearTimeout(timerId);
+                unsubscribe();
+                sdk._streams.delete(stream);
+
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+
+                settle(value);
+            },
+            close: () => stream.finish(reject, new SDKDestroyedError(undefined, {requestName: name}))
+        };
+        const unsubscribe = sdk._onStream(name, event => {
+            let matched;
+
+            try {
+                matched = !filter || filter(event);
+            } catch (error) {
+                stream.finish(reject, error);
+
+                return;
+            }
+
+            if (matched) {
+                stream.finish(resolve, event);
+            }
+        });
+
+        sdk._streams.add(stream);
+
+        if (timeout > 0) {
+            timerId = setTimeout(() => {
+                stream.finish(reject, new TimeoutError(`${name} was not received in ${timeout} ms`, {requestName: name}));
+            }, timeout);
+        }
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+    });
+}
@@ -0,0 +1,146 @@
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+import {useMockHost} from './testUtils.js';
+
+describe('event streams', () => {
+    const mock = useMockHost();
+
+    describe('once', () => {
+        test('resolves with the next matching event', async () => {
+            const open = mock.sdk.once('Open', {filter: message => message.objectId === 'b'});
+
+            mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'a'});
+            mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'b'});
+
+            await expect(open).resolves.toMatchObject({name: 'Open', objectId: 'b'});
+            expect(mock.sdk._listeners.get('Open')).toEqual([]);
+        });
+
+        test('rejects on timeout, abort, filter error and destroy', async () => {
+            jest.useFakeTimers();
+
+            try {
+                const timedOut = mock.sdk.once('Change', {timeout: 500});
+
+                jest.advanceTimersByTime(500);
+                await expect(timedOut).rejects.toMatchObject({
+                    name: 'RequestTimeout',
+                    message: 'Change was not received in 500 ms',
+                });
+            } finally {
+                jest.useRealTimers();
+            }
+
+            const controller = new AbortController();
+            const aborted = mock.sdk.once('Change', {signal: controller.signal});
+
+            controller.abort();
+            await expect(aborted).rejects.toBeInstanceOf(WidgetSDK.RequestAbortedError);
+
+            const failed = mock.sdk.once('Change', {
+                filter: () => {
+                    throw new Error('bad filter');
+                },
+            });
+
+            mock.host.change({updateState: {}});
+            await expect(failed).rejects.toThrow('bad filter');
+
+            const pending = mock.sdk.once('Save');
+
+            mock.sdk.destroy();
+            await expect(pending).rejects.toBeInstanceOf(WidgetSDK.SDKDestroyedError);
+            await expect(mock.sdk.once('Save')).rejects.toBeInstanceOf(WidgetSDK.SDKDestroyedError);
+        });
+    });
+
+    describe('events', () => {
+        test('buffers events and ends on break', async () => {
+            const changes = mock.sdk.events('Change');
+
+            mock.host.change({updateState: {sum: 1}});
+            mock.host.change({updateState: {sum: 2}});
+
+            const seen = [];
+
+            for await (const change of changes) {
+                seen.push(change.updateState.sum);
+
+                if (seen.length === 2) {
+                    break;
+                }
+            }
+
+            expect(seen).toEqual([1, 2]);
+            expect(changes.closed).toBe(true);
+            expect(mock.sdk._listeners.get('Change')).toEqual([]);
+        });
+
+        test('resolves waiting reads and ends on destroy', async () => {
+            const changes = mock.sdk.events('Change');
+            const next = changes.next();
+
+            mock.host.change({updateState: {sum: 3}});
+
+            await expect(next).resolves.toEqual({value: expect.objectContaining({updateState: {sum: 3}}), done: false});
+
+            const last = changes.next();
+
+            mock.sdk.destroy();
+
+            await expect(last).resolves.toEqual({value: undefined, done: true});
+        });
+
+        test('drops the oldest event when the buffer is full', async () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            try {
+                const changes = mock.sdk.events('Change', {bufferSize: 1});
+
+                mock.host.change({updateState: {sum: 1}});
+                mock.host.change({updateState: {sum: 2}});
+                changes.return();
+
+                await expect(changes.next()).resolves.toMatchObject({value: {updateState: {sum: 2}}, done: false});
+                await expect(changes.next()).resolves.toEqual({value: undefined, done: true});
+                expect(warnSpy).toHaveBeenCalledWith(
+                    '[WidgetSDK]',
+                    'events(Change): buffer is full, the oldest event is dropped'
+                );
+            } finally {
+                warnSpy.mockRestore();
+            }
+        });
+    });
+
+    describe('observe', () => {
+        test('delivers events to subscribers until unsubscribe', () => {
+            const opens = mock.sdk.observe('Open');
+            const next = jest.fn();
+            const subscription = opens.subscribe(next);
+
+            expect(opens[Symbol.observable || '@@observable']()).toBe(opens);
+
+            mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'a'});
+            subscription.unsubscribe();
+            mock.host.open({extensionPoint: 'document.customerorder.edit', objectId: 'b'});
+
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(next).toHaveBeenCalledWith(expect.objectContaining({objectId: 'a'}));
+            expect(subscription.closed).toBe(true);
+        });
+
+        test('completes subscriptions on destroy', () => {
+            const observer = {next: jest.fn(), complete: jest.fn()};
+            const subscription = mock.sdk.observe('Open').subscribe(observer);
+
+            mock.sdk.destroy();
+
+            expect(observer.complete).toHaveBeenCalledTimes(1);
+            expect(subscription.closed).toBe(true);
+            expect(mock.sdk.observe('Open').subscribe(observer).closed).toBe(true);
+            expect(observer.complete).toHaveBeenCalledTimes(2);
+        });
+    });
+});
@@ -0,0 +1,40 @@
+import {create} from './index.js';
+import {MockHost} from './testing.js';
+
+/**
+ * Waits for pending promise callbacks. jsdom has no setImmediate, so several microtask turns are awaited.
+ * @param {number} [turns] Number of microtask turns, 5 by default.
+ * @returns {Promise<void>}
+ */
+export async function flushMicrotasks(turns = 5) {
+    for (let i = 0; i < turns; i++) {
+        await Promise.resolve();
+    }
+}
+
+/**
+ * Attaches a MockHost and creates an SDK instance for its origin before each test,
+ * destroys the instance and detaches the host after each test.
+ * @param {Object} [options] Setup options.
+ * @param {Object} [options.host] MockHost options.
+ * @param {Object|boolean} [options.sdk] Options of create, false if tests create instances themselves.
+ * @returns {{host: MockHost|null, sdk: WidgetSDKInstance|null}} Setup, its fields are replaced before each test.
+ */
+export function useMockHost(options = {}) {
+    const setup = {host: null, sdk: null};
+
+    beforeEach(() => {
+        setup.host = new MockHost(options.host).attach();
+        setup.sdk = options.sdk === false ? null : create({hostOrigins: setup.host.origin, ...options.sdk});
+    });
+
+    afterEach(() => {
+        if (setup.sdk) {
+            setup.sdk.destroy();
+        }
+
+        setup.host.detach();
+    });
+
+    return setup;
+}
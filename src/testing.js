@@ -0,0 +1,4 @@
+/**
+ * Entry point of utilities for widget tests, kept out of the main bundle.
+ */
+export {MockHost} from './MockHost.js';
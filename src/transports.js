@@ -0,0 +1,229 @@
+import {TransportError} from './errors.js';
+
+const global = typeof window !== 'undefined' ? window : undefined;
+
+/**
+ * Transport interface:
+ * - send(message, options) delivers a message to the host, options.targetOrigin is used by window transports;
+ * - subscribe(handler) calls handler with event-like objects {data, origin, source}, returns an unsubscribe function,
+ *   throws if messages cannot be received;
+ * - dispose() releases resources.
+ * Window transports also expose hostWindow, used for origin and source checks.
+ */
+
+/**
+ * Default transport: postMessage to the parent window, message events of the current window.
+ */
+export class WindowTransport {
+    /**
+     * @param {Object} [options] Transport options.
+     * @param {Window} [options.window] Window to listen on, the global window by default.
+     * @param {Window} [options.target] Host window, parent by default.
+     */
+    constructor(options = {}) {
+        this.window = options.window || global;
+        this.target = options.target || null;
+        this._handlers = [];
+    }
+
+    /**
+     * Host window: the target option, parent for iframes or the window itself.
+     * @returns {Window} Host window.
+     */
+    get hostWindow() {
+        if (this.target) {
+            return this.target;
+        }
+
+        if (this.window === global && typeof parent !== 'undefined') {
+            return parent;
+        }
+
+        return this.window && this.window.parent ? this.window.parent : this.window;
+    }
+
+    /**
+     * Posts a message to the host window.
+     * @param {Object} message Message.
+     * @param {Object} [options] Send options.
+     * @param {string} [options.targetOrigin] Target origin, '*' by default.
+     * @returns {void}
+     */
+    send(message, options = {}) {
+        this.hostWindow.postMessage(message, options.targetOrigin || '*');
+    }
+
+    /**
+     * Subscribes to message events of the window.
+     * @param {Function} handler Event handler.
+     * @returns {Function} Unsubscribe function.
+     * @throws {TransportError} If the window has no addEventListener.
+     */
+    subscribe(handler) {
+        if (!this.window || !this.window.addEventListener) {
+            throw new TransportError('addEventListener is not available');
+        }
+
+        this.window.addEventListener('message', handler);
+        this._handlers.push(handler);
+
+        return () => {
+            const index = this._handlers.indexOf(handler);
+
+            if (index > -1) {
+                this._handlers.splice(index, 1);
+            }
+
+            if (this.window.removeEventListener) {
+                this.window.removeEventListener('message', handler);
+            }
+        };
+    }
+
+    /**
+     * Removes all subscriptions.
+     * @returns {void}
+     */
+    dispose() {
+        this._handlers.slice().forEach(handler => {
+            this._handlers.splice(this._handlers.indexOf(handler), 1);
+
+            if (this.window.removeEventListener) {
+                this.window.removeEventListener('message', handler);
+            }
+        });
+    }
+}
+
+/**
+ * Transport over a MessagePort, e.g. one end of a MessageChannel passed to a nested iframe or a worker.
+ */
+export class MessagePortTransport {
+    /**
+     * @param {MessagePort} port Message port.
+     */
+    constructor(port) {
+        if (!port || typeof port.postMessage !== 'function') {
+            throw new TypeError('MessagePortTransport requires a MessagePort');
+        }
+
+        this.port = port;
+        this._handlers = [];
+        this._started = false;
+    }
+
+    /**
+     * Posts a message to the port.
+     * @param {Object} message Message.
+     * @returns {void}
+     */
+    send(message) {
+        this.port.postMessage(message);
+    }
+
+    /**
+     * Subscribes to port messages.
+     * @param {Function} handler Event handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(handler) {
+        this.port.addEventListener('message', handler);
+        this._handlers.push(handler);
+
+        if (!this._started && typeof this.port.start === 'function') {
+            this._started = true;
+            this.port.start();
+        }
+
+        return () => {
+            const index = this._handlers.indexOf(handler);
+
+            if (index > -1) {
+                this._handlers.splice(index, 1);
+            }
+
+            this.port.removeEventListener('message', handler);
+        };
+    }
+
+    /**
+     * Removes all subscriptions and closes the port.
+     * @returns {void}
+     */
+    dispose() {
+        this._handlers.forEach(handler => this.port.removeEventListener('message', handler));
+        this._handlers = [];
+
+        if (typeof this.port.close === 'function') {
+            this.port.close();
+        }
+    }
+}
+
+/**
+ * Synchronous in-memory transport without DOM. Create connected ends with MemoryTransport.pair().
+ */
+export class MemoryTransport {
+    constructor() {
+        this.peer = null;
+        this._handlers = [];
+    }
+
+    /**
+     * Creates two connected transports: for the widget and for the host.
+     * @returns {MemoryTransport[]} [widgetTransport, hostTransport].
+     */
+    static pair() {
+        const widget = new MemoryTransport();
+        const host = new MemoryTransport();
+
+        widget.peer = host;
+        host.peer = widget;
+
+        return [widget, host];
+    }
+
+    /**
+     * Delivers a message to the subscribers of the peer.
+     * @param {Object} message Message.
+     * @returns {void}
+     */
+    send(message) {
+        if (!this.peer) {
+            throw new Error('MemoryTransport is not connected');
+        }
+
+        this.peer._handlers.slice().forEach(handler => handler({data: message}));
+    }
+
+    /**
+     * Subscribes to messages sent by the peer.
+     * @param {Function} handler Event handler.
+     * @returns {Function} Unsubscribe function.
+     */
+    subscribe(handler) {
+        this._handlers.push(handler);
+
+        return () => {
+            const index = this._handlers.indexOf(handler);
+
+            if (index > -1) {
+                this._handlers.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Removes all subscriptions and disconnects from the peer.
+     * @returns {void}
+     */
+    dispose() {
+        this._handlers = [];
+
+        if (this.peer && this.peer.peer === this) {
+            this.peer.peer = null;
+        }
+
+        this.peer = null;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+
+/* eslint-disable no-underscore-dangle */
+
+import * as WidgetSDK from './index.js';
+
+describe('MemoryTransport', () => {
+    let sdk;
+    let host;
+
+    beforeEach(() => {
+        const [widgetTransport, hostTransport] = WidgetSDK.MemoryTransport.pair();
+
+        host = hostTransport;
+        sdk = WidgetSDK.create({transport: widgetTransport});
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+    });
+
+    test('works without DOM', async () => {
+        const received = [];
+
+        host.subscribe(({data}) => {
+            received.push(data);
+
+            if (data.name === 'NavigateRequest') {
+                host.send({name: 'NavigateResponse', correlationId: data.messageId});
+            }
+        });
+
+        const openHandler = jest.fn(message => sdk.openFeedback(message.messageId));
+
+        sdk.onOpen(openHandler);
+        host.send({name: 'Open', messageId: 1, extensionPoint: 'document.customerorder.edit'});
+
+        await expect(sdk.navigateTo('/path')).resolves.toMatchObject({name: 'NavigateResponse'});
+        expect(openHandler).toHaveBeenCalled();
+        expect(received.map(message => message.name)).toEqual(['OpenFeedback', 'NavigateRequest']);
+    });
+
+    test('skips origin checks for transports without a host window', () => {
+        const openHandler = jest.fn();
+
+        sdk.destroy();
+        sdk = WidgetSDK.create({transport: WidgetSDK.MemoryTransport.pair()[0], hostOrigins: 'https://online.moysklad.ru'});
+
+        sdk.onOpen(openHandler);
+        sdk.transport.peer.send({name: 'Open', messageId: 1});
+
+        expect(openHandler).toHaveBeenCalled();
+    });
+
+    test('destroy unsubscribes from a passed transport without disposing it', () => {
+        const transport = sdk.transport;
+
+        sdk.destroy();
+
+        expect(transport._handlers).toHaveLength(0);
+        expect(transport.peer).toBe(host);
+    });
+});
+
+describe('WindowTransport', () => {
+    test('reports a missing addEventListener through the SDK logger', () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const text = 'Host messages are not received: addEventListener is not available';
+        const sdk = WidgetSDK.create({logBuffer: true});
+
+        try {
+            expect(() => new WidgetSDK.WindowTransport().subscribe(() => {})).toThrow(WidgetSDK.TransportError);
+            expect(sdk.getLogs()).toEqual([
+                expect.objectContaining({level: 'error', message: text}),
+            ]);
+            expect(errorSpy).toHaveBeenCalledWith('[WidgetSDK]', text);
+        } finally {
+            sdk.destroy();
+            errorSpy.mockRestore();
+        }
+    });
+});
+
+describe('MessagePortTransport', () => {
+    let channel;
+    let transport;
+    let sdk;
+
+    beforeEach(() => {
+        channel = new MessageChannel();
+        transport = new WidgetSDK.MessagePortTransport(channel.port1);
+        sdk = WidgetSDK.create({transport});
+    });
+
+    afterEach(() => {
+        sdk.destroy();
+        transport.dispose();
+        channel.port2.close();
+    });
+
+    test('requires a port', () => {
+        expect(() => new WidgetSDK.MessagePortTransport()).toThrow(TypeError);
+    });
+
+    test('exchanges messages over MessageChannel', async () => {
+        channel.port2.onmessage = ({data}) => {
+            channel.port2.postMessage({name: 'SelectGoodFolderResponse', correlationId: data.messageId, selected: true});
+        };
+
+        await expect(sdk.selectGoodFolder()).resolves.toMatchObject({
+            name: 'SelectGoodFolderResponse',
+            selected: true,
+        });
+    });
+});
@@ -0,0 +1,43 @@
+// Type definitions for @moysklad-official/js-widget-sdk/devtools
+
+import type {
+    DevtoolsPanelOptions,
+    HostMessage,
+    LogEntry,
+    LogLevel,
+    MessageId,
+    SdkMessage,
+    SdkRequest,
+    WidgetSDKInstance
+} from './index';
+
+export interface DevtoolsRecord {
+    id: number;
+    time: number;
+    direction: 'in' | 'out';
+    name?: string;
+    messageId?: MessageId;
+    correlationId?: MessageId;
+    /** Time between the request and the response in ms, set on both records of a pair. */
+    latency?: number;
+    data: SdkMessage | SdkRequest | HostMessage;
+    /** Request of a response record. */
+    request: DevtoolsRecord | null;
+    /** Response of a request record. */
+    response: DevtoolsRecord | null;
+}
+
+export declare class DevtoolsPanel {
+    constructor(sdk: WidgetSDKInstance, options?: DevtoolsPanelOptions);
+    level: LogLevel;
+    size: number;
+    collapsed: boolean;
+    root: HTMLElement | null;
+    write(entry: LogEntry): void;
+    records(): DevtoolsRecord[];
+    pending(): DevtoolsRecord[];
+    replay(recordOrId: DevtoolsRecord | number): void;
+    clear(): void;
+    render(): void;
+    destroy(): void;
+}
@@ -0,0 +1,18 @@
+// Global WidgetSDK object created by dist/widget.js for <script> users.
+// Usage: /// <reference types="@moysklad-official/js-widget-sdk/types/global" />
+
+// dist/devtools.js and dist/testing.js create WidgetSDKDevtools and WidgetSDKTesting.
+
+import type {WidgetSDKStatic} from './index';
+
+declare global {
+    const WidgetSDK: WidgetSDKStatic;
+    const WidgetSDKDevtools: typeof import('./devtools');
+    const WidgetSDKTesting: typeof import('./testing');
+
+    interface Window {
+        WidgetSDK: WidgetSDKStatic;
+        WidgetSDKDevtools: typeof import('./devtools');
+        WidgetSDKTesting: typeof import('./testing');
+    }
+}
@@ -0,0 +1,907 @@
+// Type definitions for @moysklad-official/js-widget-sdk
+// Protocol reference: https://dev.moysklad.ru/doc/api/vendor/1.0/#vidzhety
+
+import type {DevtoolsPanel} from './devtools';
+import type {MockHost} from './testing';
+
+/* Common */
+
+export type MessageId = number;
+
+/** Extension point of the widget, e.g. `document.customerorder.edit` or `entity.counterparty.edit`. */
+export type ExtensionPoint = string;
+
+export type NavigateTarget = 'blank' | 'self';
+
+export interface DialogButton {
+    name: string;
+    caption: string;
+}
+
+export interface HostErrorEntry {
+    error: string;
+    code?: number | string;
+    [field: string]: unknown;
+}
+
+/** Document state for UpdateRequest. The set of fields depends on the extension point. */
+export interface UpdateState {
+    [field: string]: unknown;
+}
+
+export interface GoodFolder {
+    id: string;
+    name?: string;
+    [field: string]: unknown;
+}
+
+/* Host -> SDK events */
+
+export interface OpenMessage {
+    name: 'Open';
+    messageId: MessageId;
+    extensionPoint: ExtensionPoint;
+    objectId?: string;
+    displayMode?: string;
+    [field: string]: unknown;
+}
+
+export interface OpenPopupMessage {
+    name: 'OpenPopup';
+    messageId: MessageId;
+    popupName: string;
+    popupParameters?: unknown;
+    [field: string]: unknown;
+}
+
+export interface SaveMessage {
+    name: 'Save';
+    messageId: MessageId;
+    objectId?: string;
+    [field: string]: unknown;
+}
+
+export interface ChangeMessage {
+    name: 'Change';
+    messageId: MessageId;
+    extensionPoint?: ExtensionPoint;
+    objectId?: string;
+    objectState?: UpdateState;
+    [field: string]: unknown;
+}
+
+export type HostEvent = OpenMessage | OpenPopupMessage | SaveMessage | ChangeMessage;
+
+export interface HostEventMap {
+    Open: OpenMessage;
+    OpenPopup: OpenPopupMessage;
+    Save: SaveMessage;
+    Change: ChangeMessage;
+}
+
+/* Host -> SDK responses */
+
+export interface ShowDialogResponse {
+    name: 'ShowDialogResponse';
+    correlationId: MessageId;
+    /** Name of the pressed button. */
+    result: string;
+}
+
+export interface SelectGoodFolderResponse {
+    name: 'SelectGoodFolderResponse';
+    correlationId: MessageId;
+    selected?: boolean;
+    goodFolder?: GoodFolder;
+}
+
+export interface NavigateResponse {
+    name: 'NavigateResponse';
+    correlationId: MessageId;
+}
+
+export interface UpdateResponse {
+    name: 'UpdateResponse';
+    correlationId: MessageId;
+    updateState?: UpdateState;
+}
+
+export interface ShowPopupResponse {
+    name: 'ShowPopupResponse';
+    correlationId: MessageId;
+    popupName: string;
+    popupResponse?: unknown;
+}
+
+export interface InvalidMessageErrorMessage {
+    name: 'InvalidMessageError';
+    correlationId: MessageId;
+    /** Some hosts send only message. */
+    errors?: HostErrorEntry[];
+    message?: string;
+}
+
+export type HostResponse =
+    | ShowDialogResponse
+    | SelectGoodFolderResponse
+    | NavigateResponse
+    | UpdateResponse
+    | ShowPopupResponse
+    | InvalidMessageErrorMessage;
+
+export type HostMessage = HostEvent | HostResponse;
+
+/* SDK -> Host requests */
+
+export interface SelectGoodFolderRequest {
+    name: 'SelectGoodFolderRequest';
+    messageId?: MessageId;
+}
+
+export interface ShowDialogRequest {
+    name: 'ShowDialogRequest';
+    messageId?: MessageId;
+    dialogText: string;
+    buttons: DialogButton[];
+}
+
+export interface NavigateRequest {
+    name: 'NavigateRequest';
+    messageId?: MessageId;
+    path: string;
+    target: NavigateTarget;
+}
+
+export interface UpdateRequest {
+    name: 'UpdateRequest';
+    messageId?: MessageId;
+    updateState: UpdateState;
+}
+
+export interface ShowPopupRequest {
+    name: 'ShowPopupRequest';
+    messageId?: MessageId;
+    popupName: string;
+    popupParameters?: unknown;
+}
+
+export type SdkRequest =
+    | SelectGoodFolderRequest
+    | ShowDialogRequest
+    | NavigateRequest
+    | UpdateRequest
+    | ShowPopupRequest;
+
+export interface ResponseMap {
+    SelectGoodFolderRequest: SelectGoodFolderResponse;
+    ShowDialogRequest: ShowDialogResponse;
+    NavigateRequest: NavigateResponse;
+    UpdateRequest: UpdateResponse;
+    ShowPopupRequest: ShowPopupResponse;
+}
+
+/* SDK -> Host messages */
+
+export interface OpenFeedbackMessage {
+    name: 'OpenFeedback';
+    messageId: MessageId;
+    correlationId: MessageId;
+}
+
+export interface SetDirtyMessage {
+    name: 'SetDirty';
+    messageId: MessageId;
+    openMessageId: MessageId;
+}
+
+export interface ClearDirtyMessage {
+    name: 'ClearDirty';
+    messageId: MessageId;
+}
+
+export interface ValidationFeedbackMessage {
+    name: 'ValidationFeedback';
+    messageId: MessageId;
+    correlationId: MessageId;
+    valid: boolean;
+    message: string;
+}
+
+export interface SaveFeedbackMessage {
+    name: 'SaveFeedback';
+    messageId: MessageId;
+    correlationId: MessageId;
+    success: boolean;
+    /** Error text of a failed save. */
+    message?: string;
+}
+
+export interface ClosePopupMessage {
+    name: 'ClosePopup';
+    messageId: MessageId;
+    popupResponse?: unknown;
+}
+
+export type SdkMessage =
+    | OpenFeedbackMessage
+    | SetDirtyMessage
+    | ClearDirtyMessage
+    | ValidationFeedbackMessage
+    | SaveFeedbackMessage
+    | ClosePopupMessage;
+
+/* Options */
+
+export interface WidgetSDKOptions {
+    /** Logs all messages to the console, sets logLevel to 'debug'. */
+    debug?: boolean;
+    /** Minimum level for the console or the logger option, 'warn' by default. */
+    logLevel?: LogLevel;
+    /** Log sink replacing the console. */
+    logger?: LogSink;
+    /** Keeps the last log entries of all levels in memory, a number sets the size (200 by default). */
+    logBuffer?: boolean | number;
+    /** Allowed host origin or list of origins. Enables origin and source checks. */
+    hostOrigins?: string | string[];
+    /** Default request timeout in ms, 0 disables it. */
+    requestTimeout?: number;
+    /** Message transport, WindowTransport by default. */
+    transport?: Transport;
+    /** Retry policy for the requests from its list, a number sets retries. */
+    retry?: number | RetryOptions;
+    /** Checks outgoing messages against protocol schemas before sending, false by default. */
+    validate?: boolean;
+    /** Debounce window of updates.queue in ms, 100 by default. */
+    updateDebounce?: number;
+    /** Time in ms for Save listeners to settle before the save is reported as failed, 10000 by default, 0 disables it. */
+    saveTimeout?: number;
+    /**
+     * Renders the message inspector inside the widget iframe, for development.
+     * DevtoolsPanel comes from the devtools entry point, true and options without panel
+     * use the panel of the loaded entry point.
+     */
+    devtools?: boolean | typeof DevtoolsPanel | DevtoolsOptions;
+}
+
+export interface DevtoolsPanelOptions {
+    /** Maximum number of messages in the timeline, 200 by default. */
+    size?: number;
+    /** Element to render into, document.body by default. */
+    container?: HTMLElement;
+}
+
+export interface DevtoolsOptions extends DevtoolsPanelOptions {
+    panel?: typeof DevtoolsPanel;
+}
+
+export interface RetryOptions {
+    /** Number of retries after the first attempt. */
+    retries?: number;
+    /** Delay before the first retry in ms, 200 by default. */
+    minDelay?: number;
+    /** Maximum delay in ms, 5000 by default. */
+    maxDelay?: number;
+    /** Backoff factor, 2 by default. */
+    factor?: number;
+    /** Randomizes the delay between a half and the full value, true by default. */
+    jitter?: boolean;
+    /** Requests retried by the SDK-level policy, IDEMPOTENT_REQUESTS by default. */
+    requests?: string[];
+    /** Decides whether the error is transient, isTransientError by default. */
+    shouldRetry?(error: WidgetSDKError, attempt: number, request: object): boolean;
+}
+
+export interface RequestOptions {
+    /** Timeout in ms, overrides requestTimeout. 0 disables it. */
+    timeout?: number;
+    signal?: AbortSignal;
+    /** Retry policy for this call: true uses the SDK policy, false disables retries. */
+    retry?: boolean | number | RetryOptions;
+}
+
+export declare const IDEMPOTENT_REQUESTS: string[];
+
+/** Requests answered after user input, their timeouts are not retried by isTransientError. */
+export declare const INTERACTIVE_REQUESTS: string[];
+
+/**
+ * Transport failures except an unresolved host origin and timeouts of non-interactive requests.
+ * Host errors are permanent, a custom shouldRetry can retry them by errors[].code.
+ */
+export declare function isTransientError(error: unknown, attempt?: number, request?: {name?: string}): boolean;
+
+/* Validation */
+
+export interface FieldRule {
+    type: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any';
+    required?: boolean;
+    /** Allows null. */
+    nullable?: boolean;
+    nonEmpty?: boolean;
+    oneOf?: unknown[];
+    minItems?: number;
+    /** Rules for fields of array items. */
+    fields?: Record<string, FieldRule>;
+}
+
+export type MessageSchemas = Record<string, Record<string, FieldRule>>;
+
+export interface SchemaViolation extends HostErrorEntry {
+    /** Path of the invalid field, e.g. buttons[1].name. */
+    field: string;
+    error: string;
+    /** The field is missing in the schema. */
+    unknown?: boolean;
+}
+
+export interface ValidateMessageOptions {
+    /** Report fields missing in the schema. */
+    unknownFields?: boolean;
+}
+
+/** Protocol version described by the schemas. */
+export declare const PROTOCOL_VERSION: string;
+
+export declare const OUTGOING_SCHEMAS: MessageSchemas;
+
+export declare const INCOMING_SCHEMAS: MessageSchemas;
+
+export declare function validateMessage(
+    message: {name?: string},
+    schemas?: MessageSchemas,
+    options?: ValidateMessageOptions
+): SchemaViolation[];
+
+/** Host message that does not match the protocol schemas. */
+export interface ProtocolMismatchEvent {
+    name: 'protocolMismatch';
+    /** Name of the host message, null if it has no name. */
+    messageName: string | null;
+    protocolVersion: string | null;
+    violations: SchemaViolation[];
+    rawMessage: object;
+}
+
+/* Transports */
+
+export interface TransportEvent {
+    data: unknown;
+    origin?: string;
+    source?: unknown;
+}
+
+export interface TransportSendOptions {
+    targetOrigin?: string;
+}
+
+export interface Transport {
+    send(message: object, options?: TransportSendOptions): void;
+    /** Throws if messages cannot be received, the SDK logs the error and only sends messages. */
+    subscribe(handler: (event: TransportEvent) => void): Unsubscribe;
+    dispose(): void;
+    /** Host window for origin and source checks, window transports only. */
+    readonly hostWindow?: Window | null;
+}
+
+export interface WindowTransportOptions {
+    window?: Window;
+    target?: Window;
+}
+
+export declare class WindowTransport implements Transport {
+    constructor(options?: WindowTransportOptions);
+    window: Window;
+    target: Window | null;
+    readonly hostWindow: Window;
+    send(message: object, options?: TransportSendOptions): void;
+    subscribe(handler: (event: MessageEvent) => void): Unsubscribe;
+    dispose(): void;
+}
+
+export declare class MessagePortTransport implements Transport {
+    constructor(port: MessagePort);
+    port: MessagePort;
+    send(message: object): void;
+    subscribe(handler: (event: MessageEvent) => void): Unsubscribe;
+    dispose(): void;
+}
+
+export declare class MemoryTransport implements Transport {
+    static pair(): [MemoryTransport, MemoryTransport];
+    peer: MemoryTransport | null;
+    send(message: object): void;
+    subscribe(handler: (event: {data: unknown}) => void): Unsubscribe;
+    dispose(): void;
+}
+
+/* Logging */
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export interface LogEntry {
+    time: number;
+    level: LogLevel;
+    message: string;
+    direction?: 'in' | 'out';
+    name?: string;
+    messageId?: MessageId;
+    correlationId?: MessageId;
+    /** Time between the request and the response in ms. */
+    latency?: number;
+    /** Sent or received message. */
+    data?: SdkMessage | SdkRequest | HostMessage;
+}
+
+export type LogSink = ((entry: LogEntry) => void) | {level?: LogLevel; write(entry: LogEntry): void};
+
+export declare const LOG_LEVELS: Record<LogLevel, number>;
+
+export declare class ConsoleLogSink {
+    constructor(options?: {level?: LogLevel});
+    level: LogLevel;
+    write(entry: LogEntry): void;
+}
+
+export declare class MemoryLogSink {
+    constructor(options?: {size?: number; level?: LogLevel});
+    size: number;
+    level: LogLevel;
+    write(entry: LogEntry): void;
+    entries(): LogEntry[];
+    dump(): string;
+    clear(): void;
+}
+
+/* Dialogs */
+
+export interface ConfirmOptions extends RequestOptions {
+    /** OK button caption, 'ОК' by default. */
+    okCaption?: string;
+    /** Cancel button caption, 'Отмена' by default. */
+    cancelCaption?: string;
+}
+
+export interface AlertOptions extends RequestOptions {
+    /** OK button caption, 'ОК' by default. */
+    okCaption?: string;
+}
+
+export declare class Dialogs {
+    constructor(sdk: WidgetSDKInstance);
+    /** Resolves to true if OK was pressed, false if Cancel was pressed or the dialog was dismissed. */
+    confirm(text: string, options?: ConfirmOptions): Promise<boolean>;
+    /** Resolves to true if OK was pressed, false if the dialog was dismissed. */
+    alert(text: string, options?: AlertOptions): Promise<boolean>;
+    /** Resolves to the pressed button name or null if the dialog was dismissed. */
+    choose<N extends string>(
+        text: string,
+        choices: Array<N | {name: N; caption: string}>,
+        options?: RequestOptions
+    ): Promise<N | null>;
+}
+
+/* Updates */
+
+export interface OptimisticUpdateHandlers<T = unknown> extends RequestOptions {
+    /** Applies the change locally, the result is passed to revert. */
+    apply?(updateState: UpdateState): T;
+    /** Restores the local state; error.details holds errors[] of InvalidMessageError. */
+    revert?(error: WidgetSDKError, applied: T): void;
+}
+
+
+export interface OnceOptions<T> {
+    /** Events the predicate rejects are skipped. */
+    filter?(event: T): boolean;
+    /** Rejects with TimeoutError, waits until destroy without it. */
+    timeout?: number;
+    signal?: AbortSignal;
+}
+
+export interface EventIteratorOptions {
+    /** Max events waiting to be read, 100 by default. The oldest event is dropped on overflow. */
+    bufferSize?: number;
+    /** Ends the iteration. */
+    signal?: AbortSignal;
+}
+
+/** Async iterator of events, buffers events from creation. Ends on break, abort and destroy. */
+export declare class EventIterator<T = HostMessage> implements AsyncIterableIterator<T> {
+    constructor(sdk: WidgetSDKInstance, name: string, options?: EventIteratorOptions);
+    name: string;
+    bufferSize: number;
+    closed: boolean;
+    next(): Promise<IteratorResult<T, undefined>>;
+    return(): Promise<IteratorResult<T, undefined>>;
+    [Symbol.asyncIterator](): EventIterator<T>;
+    close(): void;
+}
+
+export interface EventObserver<T> {
+    next?(event: T): void;
+    error?(error: unknown): void;
+    /** Called when the SDK is destroyed. */
+    complete?(): void;
+}
+
+export interface EventSubscription {
+    closed: boolean;
+    unsubscribe(): void;
+}
+
+/** Observable-compatible stream of events, also exposed under Symbol.observable. */
+export declare class EventObservable<T = HostMessage> {
+    constructor(sdk: WidgetSDKInstance, name: string);
+    name: string;
+    subscribe(
+        observer?: EventObserver<T> | ((event: T) => void) | null,
+        error?: (error: unknown) => void,
+        complete?: () => void
+    ): EventSubscription;
+}
+
+export declare class UpdateQueue {
+    constructor(sdk: WidgetSDKInstance, options?: {debounce?: number});
+    /** Debounce window in ms. */
+    debounce: number;
+    /**
+     * Merges the partial state into the next UpdateRequest.
+     * Rejected with code UPDATE_DROPPED if a newer Open arrives before the batch is sent.
+     */
+    queue(partialState: UpdateState): Promise<UpdateResponse>;
+    /** Sends the queued batch without waiting for the debounce window. */
+    flush(): void;
+    isPending(): boolean;
+    dispose(): void;
+}
+
+/* Navigation */
+
+export type EntityType =
+    | 'customerorder' | 'demand' | 'salesreturn' | 'invoiceout'
+    | 'purchaseorder' | 'supply' | 'purchasereturn' | 'invoicein'
+    | 'paymentin' | 'paymentout' | 'cashin' | 'cashout'
+    | 'move' | 'enter' | 'loss' | 'inventory' | 'internalorder' | 'retaildemand'
+    | 'product' | 'service' | 'bundle' | 'counterparty' | 'contract' | 'employee' | 'store' | 'project';
+
+/** Sections of the MoySklad UI by entity type. */
+export declare const ENTITY_ROUTES: Readonly<Record<EntityType, string>>;
+
+export interface NavigationOptions extends RequestOptions {
+    /** Open in a new tab, true by default. */
+    newTab?: boolean;
+    /** Navigation target, overrides newTab. */
+    target?: NavigateTarget;
+}
+
+export type ListFilter = Record<string, string | number | boolean | null | undefined | Array<string | number | boolean>>;
+
+export declare class Navigation {
+    constructor(sdk: WidgetSDKInstance);
+    /** Opens /app/#section/edit?id=... */
+    toEntity(entityType: EntityType, id: string, options?: NavigationOptions): Promise<void>;
+    /** Opens /app/#section with the filter as a query string. */
+    toList(entityType: EntityType, filter?: ListFilter, options?: NavigationOptions): Promise<void>;
+    /** Opens /app/#section/edit */
+    toNew(entityType: EntityType, options?: NavigationOptions): Promise<void>;
+}
+
+/* Popups */
+
+/**
+ * Parameters and responses of named popups. Extend it with declaration merging:
+ * declare module '@moysklad-official/js-widget-sdk' {
+ *     interface PopupMap {
+ *         Picker: {parameters: {multiple: boolean}; response: string[]};
+ *     }
+ * }
+ */
+export interface PopupMap {}
+
+export type PopupName = keyof PopupMap | (string & {});
+
+export type PopupParameters<N> = N extends keyof PopupMap
+    ? PopupMap[N] extends {parameters: infer P} ? P : unknown
+    : unknown;
+
+export type PopupResponse<N> = N extends keyof PopupMap
+    ? PopupMap[N] extends {response: infer R} ? R : unknown
+    : unknown;
+
+/** Validator: true or undefined if the value is valid, false or an error text otherwise. */
+export type PopupValidator<T> = (value: T) => boolean | string | void;
+
+export interface PopupDefinition<N extends PopupName = PopupName> {
+    validateParameters?: PopupValidator<PopupParameters<N>>;
+    validateResponse?: PopupValidator<PopupResponse<N>>;
+}
+
+export interface PopupSession<N extends PopupName = PopupName> {
+    readonly name: N;
+    readonly parameters: PopupParameters<N> | null;
+    readonly messageId: MessageId | null;
+    readonly closed: boolean;
+    /** Closes the popup with a response, false if it is already closed. */
+    resolve(value: PopupResponse<N>): boolean;
+    /** Closes the popup with an error, the opener gets PopupRejectedError. */
+    reject(reason?: Error | string): boolean;
+    /** Closes the popup without a response, the opener gets null. */
+    cancel(): boolean;
+}
+
+export declare class Popups {
+    constructor(sdk: WidgetSDKInstance);
+    register<N extends PopupName>(name: N, definition?: PopupDefinition<N>): Unsubscribe;
+    /** Resolves with the popup response or null if the popup was cancelled. */
+    open<N extends PopupName>(
+        name: N,
+        parameters?: PopupParameters<N>,
+        options?: RequestOptions
+    ): Promise<PopupResponse<N> | null>;
+    /** Session of the popup this widget is opened in, null outside of a popup. */
+    current<N extends PopupName = PopupName>(): PopupSession<N> | null;
+}
+
+/* Errors */
+
+export interface WidgetSDKErrorEntry {
+    error: string;
+    code: number | string | null;
+    message: string;
+    [field: string]: unknown;
+}
+
+export interface WidgetSDKErrorParams {
+    code?: string;
+    requestName?: string;
+    messageId?: MessageId;
+    errors?: HostErrorEntry[];
+    rawMessage?: object;
+    cause?: unknown;
+}
+
+export declare class WidgetSDKError extends Error {
+    constructor(message: string, params?: WidgetSDKErrorParams);
+    code: string;
+    requestName: string | null;
+    messageId: MessageId | null;
+    errors: WidgetSDKErrorEntry[];
+    details: HostErrorEntry[] | null;
+    rawMessage: object | null;
+    cause?: unknown;
+}
+
+export declare class HostInvalidMessageError extends WidgetSDKError {
+    name: 'InvalidMessageError';
+    code: 'HOST_INVALID_MESSAGE';
+    rawMessage: InvalidMessageErrorMessage;
+}
+
+export declare class MessageValidationError extends WidgetSDKError {
+    name: 'MessageValidationError';
+    code: 'INVALID_MESSAGE';
+    details: SchemaViolation[];
+}
+
+export declare class PopupRejectedError extends WidgetSDKError {
+    constructor(message?: string, params?: WidgetSDKErrorParams);
+    name: 'PopupRejectedError';
+    code: 'POPUP_REJECTED';
+}
+
+export declare class TransportError extends WidgetSDKError {
+    name: 'TransportError';
+    /** HOST_ORIGIN_UNRESOLVED: hostOrigins has several origins and none of them is known to be the host. */
+    code: 'TRANSPORT_ERROR' | 'HOST_ORIGIN_UNRESOLVED';
+}
+
+export declare class SDKDestroyedError extends WidgetSDKError {
+    constructor(message?: string, params?: WidgetSDKErrorParams);
+    name: 'SDKDestroyed';
+    code: 'SDK_DESTROYED';
+}
+
+export declare class TimeoutError extends WidgetSDKError {
+    name: 'RequestTimeout';
+    code: 'REQUEST_TIMEOUT';
+}
+
+export declare class RequestAbortedError extends WidgetSDKError {
+    constructor(message?: string, params?: WidgetSDKErrorParams);
+    name: 'RequestAborted';
+    code: 'REQUEST_ABORTED';
+}
+
+/* Context */
+
+export declare class WidgetContext {
+    constructor(message: OpenMessage | OpenPopupMessage);
+    readonly messageId: MessageId | null;
+    readonly extensionPoint: ExtensionPoint | null;
+    readonly kind: 'document' | 'entity' | 'popup' | 'unknown';
+    readonly entityType: string | null;
+    readonly action: string | null;
+    readonly objectId: string | null;
+    readonly isNew: boolean;
+    readonly displayMode: string | null;
+    readonly popupName: string | null;
+    readonly popupParameters: unknown;
+    isDocument(): boolean;
+    isEntity(): boolean;
+    isPopup(): boolean;
+}
+
+/* Lifecycle */
+
+export type ValidationResult = boolean | string | undefined | void;
+
+export interface LifecycleHandlers {
+    onOpen?(message: OpenMessage, controller: LifecycleController): unknown;
+    onSave?(message: SaveMessage, controller: LifecycleController): unknown;
+    onChange?(message: ChangeMessage, controller: LifecycleController): unknown;
+    validate?(message: ChangeMessage, controller: LifecycleController): ValidationResult | Promise<ValidationResult>;
+}
+
+export declare class LifecycleController {
+    constructor(sdk: WidgetSDKInstance, handlers?: LifecycleHandlers);
+    setDirty(): void;
+    clearDirty(): void;
+    isDirty(): boolean;
+    dispose(): void;
+}
+
+/* Dirty state */
+
+export declare class DirtyTracker<T extends object = object> {
+    constructor(sdk: WidgetSDKInstance, target: HTMLElement | T);
+    target: HTMLElement | T;
+    /** Tracked state for state objects, null for elements. Changes must go through it. */
+    state: T | null;
+    openMessageId: MessageId | null;
+    check(): boolean;
+    reset(): void;
+    isDirty(): boolean;
+    dispose(): void;
+}
+
+/* Middleware */
+
+/** Must be called synchronously, a call after the handler has returned is ignored. */
+export type MiddlewareNext<M> = (message?: M) => void;
+
+export interface Middleware {
+    /** Called for every message sent to the host. Do not call next to drop the message. */
+    outgoing?(message: SdkRequest | SdkMessage, next: MiddlewareNext<SdkRequest | SdkMessage>): void;
+    /** Called for every message received from the host. Do not call next to drop the message. */
+    incoming?(message: HostMessage, next: MiddlewareNext<HostMessage>): void;
+}
+
+/* Instance */
+
+export type Unsubscribe = () => void;
+
+export declare class WidgetSDKInstance {
+    constructor(options?: WidgetSDKOptions);
+
+    debug: boolean;
+    logLevel: LogLevel;
+    logBuffer: MemoryLogSink | null;
+    devtools: DevtoolsPanel | null;
+    dialogs: Dialogs;
+    popups: Popups;
+    navigation: Navigation;
+    updates: UpdateQueue;
+    hostOrigins: string[] | null;
+    requestTimeout: number;
+    transport: Transport;
+    retry: Required<RetryOptions> | null;
+    validate: boolean;
+    /** Protocol version sent with Open/OpenPopup, 'unknown' if the host sends none, null before the first one. */
+    protocolVersion: string | null;
+
+    on<K extends keyof HostEventMap>(eventName: K, callback: (message: HostEventMap[K]) => void): Unsubscribe;
+    on(eventName: 'protocolMismatch', callback: (event: ProtocolMismatchEvent) => void): Unsubscribe;
+    /** Names ending with * are patterns: '*' matches all host messages, 'Open*' matches Open and OpenPopup. */
+    on(eventName: string, callback: (message: HostMessage) => void): Unsubscribe;
+    off<K extends keyof HostEventMap>(eventName: K, callback: (message: HostEventMap[K]) => void): void;
+    off(eventName: 'protocolMismatch', callback: (event: ProtocolMismatchEvent) => void): void;
+    off(eventName: string, callback: (message: HostMessage) => void): void;
+    once<K extends keyof HostEventMap>(eventName: K, options?: OnceOptions<HostEventMap[K]>): Promise<HostEventMap[K]>;
+    once(eventName: 'protocolMismatch', options?: OnceOptions<ProtocolMismatchEvent>): Promise<ProtocolMismatchEvent>;
+    once(eventName: string, options?: OnceOptions<HostMessage>): Promise<HostMessage>;
+    events<K extends keyof HostEventMap>(eventName: K, options?: EventIteratorOptions): EventIterator<HostEventMap[K]>;
+    events(eventName: 'protocolMismatch', options?: EventIteratorOptions): EventIterator<ProtocolMismatchEvent>;
+    events(eventName: string, options?: EventIteratorOptions): EventIterator<HostMessage>;
+    observe<K extends keyof HostEventMap>(eventName: K): EventObservable<HostEventMap[K]>;
+    observe(eventName: 'protocolMismatch'): EventObservable<ProtocolMismatchEvent>;
+    observe(eventName: string): EventObservable<HostMessage>;
+    onOpen(callback: (message: OpenMessage) => void): Unsubscribe;
+    onOpenPopup(callback: (message: OpenPopupMessage) => void): Unsubscribe;
+    /**
+     * The SDK waits for the returned promises and reports the outcome with SaveFeedback.
+     * Instances that got the same Save send one SaveFeedback, it fails if any of them fails.
+     * Pattern listeners and once/events/observe get Save too, but the SDK does not wait for them.
+     */
+    onSave(callback: (message: SaveMessage) => unknown): Unsubscribe;
+    onChange(callback: (message: ChangeMessage) => void): Unsubscribe;
+    /** Host messages that matched no listener and no pending request. */
+    onUnhandled(callback: (message: HostMessage) => void): Unsubscribe;
+
+    getLogs(): LogEntry[];
+
+    getContext(): WidgetContext | null;
+    onContextChange(callback: (context: WidgetContext, previous: WidgetContext | null) => void): Unsubscribe;
+
+    sendRequest<M extends SdkRequest>(message: M, options?: RequestOptions): Promise<ResponseMap[M['name']]>;
+    sendRequest(message: {name: string; [field: string]: unknown}, options?: RequestOptions): Promise<HostResponse>;
+    sendMessage<M extends {name: string}>(message: M): (M & {messageId: MessageId}) | null;
+    use(middleware: Middleware): Unsubscribe;
+
+    selectGoodFolder(options?: RequestOptions): Promise<SelectGoodFolderResponse>;
+    showDialog(text: string, buttons?: DialogButton[], options?: RequestOptions): Promise<ShowDialogResponse>;
+    navigateTo(path: string, target?: NavigateTarget, options?: RequestOptions): Promise<NavigateResponse>;
+    update(updateState: UpdateState, options?: RequestOptions): Promise<UpdateResponse>;
+    updateOptimistic<T = unknown>(updateState: UpdateState, handlers?: OptimisticUpdateHandlers<T>): Promise<UpdateResponse>;
+    showPopup(popupName: string, popupParameters?: unknown, options?: RequestOptions): Promise<ShowPopupResponse>;
+
+    openFeedback(openMessageId?: MessageId): OpenFeedbackMessage | null;
+    setDirty(openMessageId?: MessageId): SetDirtyMessage | null;
+    clearDirty(): ClearDirtyMessage;
+    validationFeedback(valid: boolean, messageText?: string, changeMessageId?: MessageId): ValidationFeedbackMessage | null;
+    saveFeedback(success: boolean, messageText?: string, saveMessageId?: MessageId): SaveFeedbackMessage | null;
+    closePopup(popupResponse?: unknown): ClosePopupMessage;
+
+    lifecycle(handlers: LifecycleHandlers): LifecycleController;
+    trackDirty(target: HTMLElement): DirtyTracker<HTMLElement>;
+    trackDirty<T extends object>(target: T): DirtyTracker<T> & {state: T};
+
+    destroy(): void;
+}
+
+/* Public API */
+
+export declare function create(options?: WidgetSDKOptions): WidgetSDKInstance;
+/** Returns the first active instance of the page or creates one, options are used only for a new instance. */
+export declare function getInstance(options?: WidgetSDKOptions): WidgetSDKInstance;
+/** Utilities for widget tests, also available from the testing entry point. */
+export declare const testing: {
+    MockHost: typeof MockHost;
+};
+
+export interface WidgetSDKStatic {
+    create: typeof create;
+    getInstance: typeof getInstance;
+    testing: typeof testing;
+    IDEMPOTENT_REQUESTS: typeof IDEMPOTENT_REQUESTS;
+    INTERACTIVE_REQUESTS: typeof INTERACTIVE_REQUESTS;
+    isTransientError: typeof isTransientError;
+    PROTOCOL_VERSION: typeof PROTOCOL_VERSION;
+    OUTGOING_SCHEMAS: typeof OUTGOING_SCHEMAS;
+    INCOMING_SCHEMAS: typeof INCOMING_SCHEMAS;
+    validateMessage: typeof validateMessage;
+    LOG_LEVELS: typeof LOG_LEVELS;
+    ConsoleLogSink: typeof ConsoleLogSink;
+    MemoryLogSink: typeof MemoryLogSink;
+    Dialogs: typeof Dialogs;
+    Popups: typeof Popups;
+    Navigation: typeof Navigation;
+    UpdateQueue: typeof UpdateQueue;
+    EventIterator: typeof EventIterator;
+    EventObservable: typeof EventObservable;
+    ENTITY_ROUTES: typeof ENTITY_ROUTES;
+    WidgetSDKInstance: typeof WidgetSDKInstance;
+    LifecycleController: typeof LifecycleController;
+    DirtyTracker: typeof DirtyTracker;
+    WidgetContext: typeof WidgetContext;
+    WindowTransport: typeof WindowTransport;
+    MessagePortTransport: typeof MessagePortTransport;
+    MemoryTransport: typeof MemoryTransport;
+    WidgetSDKError: typeof WidgetSDKError;
+    HostInvalidMessageError: typeof HostInvalidMessageError;
+    MessageValidationError: typeof MessageValidationError;
+    PopupRejectedError: typeof PopupRejectedError;
+    TransportError: typeof TransportError;
+    SDKDestroyedError: typeof SDKDestroyedError;
+    TimeoutError: typeof TimeoutError;
+    RequestAbortedError: typeof RequestAbortedError;
+}
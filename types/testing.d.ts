@@ -0,0 +1,66 @@
+// Type definitions for @moysklad-official/js-widget-sdk/testing
+
+import type {
+    ChangeMessage,
+    HostErrorEntry,
+    HostEventMap,
+    HostMessage,
+    HostResponse,
+    InvalidMessageErrorMessage,
+    OpenMessage,
+    OpenPopupMessage,
+    SaveMessage,
+    SdkMessage,
+    SdkRequest
+} from './index';
+
+export type MockResponse<R extends SdkRequest = SdkRequest> =
+    | Partial<HostResponse>
+    | typeof MockHost.NO_RESPONSE
+    | ((request: R) => Partial<HostResponse> | typeof MockHost.NO_RESPONSE | null | undefined);
+
+export interface MockHostOptions {
+    window?: Window;
+    origin?: string;
+    responses?: {[requestName: string]: MockResponse};
+    autoRespond?: boolean;
+}
+
+export interface WaitForOptions {
+    predicate?(message: SdkMessage | SdkRequest): boolean;
+    since?: number;
+    timeout?: number;
+}
+
+export type ScenarioStep =
+    | ((host: MockHost) => unknown)
+    | {emit: string; [field: string]: unknown}
+    | {waitFor: string; predicate?: WaitForOptions['predicate']; timeout?: number};
+
+export declare class MockHost {
+    static readonly NO_RESPONSE: {readonly noResponse: true};
+
+    constructor(options?: MockHostOptions);
+
+    window: Window;
+    origin: string;
+    autoRespond: boolean;
+    received: Array<SdkMessage | SdkRequest>;
+
+    attach(): this;
+    detach(): void;
+    respondTo(requestName: string, response: MockResponse): this;
+    reply(request: SdkRequest, response: Partial<HostResponse>): HostResponse;
+    replyError(request: SdkRequest, errors: string | HostErrorEntry[]): InvalidMessageErrorMessage;
+    emit<K extends keyof HostEventMap>(name: K, payload?: Partial<HostEventMap[K]>): HostEventMap[K];
+    emit(name: string, payload?: object): HostMessage;
+    open(payload?: Partial<OpenMessage>): OpenMessage;
+    openPopup(payload?: Partial<OpenPopupMessage>): OpenPopupMessage;
+    change(payload?: Partial<ChangeMessage>): ChangeMessage;
+    save(payload?: Partial<SaveMessage>): SaveMessage;
+    messages(name?: string): Array<SdkMessage | SdkRequest>;
+    lastMessage(name?: string): SdkMessage | SdkRequest | null;
+    reset(): void;
+    waitFor(name: string, options?: WaitForOptions): Promise<SdkMessage | SdkRequest>;
+    run(steps: ScenarioStep[]): Promise<unknown[]>;
+}